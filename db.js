@@ -0,0 +1,10 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Database connection shared by the server and the migrate command
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = { pool };
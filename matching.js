@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { pool } = require('./db');
+const { omitKeys } = require('./privacy');
+
+// Member matching
+// Suggests members who should meet, scored by how much their skills, goals, profile fields and
+// waitlist answers overlap. The built-in 'tfidf' scorer needs no outside service: each profile
+// becomes a TF-IDF vector over the community and pairs are ranked by cosine similarity. An
+// embedding provider (see registerEmbeddingProvider) can score pairs instead; the explanation of
+// a match always comes from the terms both members share. Only what other members may see goes
+// into a profile, and each member's results are cached in member_matches.
+const MATCH_LIMIT = 12;
+const MIN_MATCH_SCORE = 0.05;
+const MAX_REASON_TERMS = 3;
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Fields and waitlist questions about what someone wants count as goals
+const GOAL_PATTERN = /goal|looking for|hoping|want|objective|why .*join|need help|working on/i;
+
+const FACETS = {
+  skills: { weight: 1.5, label: 'Shared skills' },
+  fields: { weight: 1.2, label: 'In common' },
+  goals: { weight: 1.3, label: 'Similar goals' },
+  profile: { weight: 1, label: 'Similar interests' },
+  answers: { weight: 1, label: 'Similar waitlist answers' }
+};
+
+const STOPWORDS = new Set(`
+  about above after again also and any are because been before being below between both but can
+  could did does doing down during each few for from further had has have having her here hers him
+  his how into its itself just more most much must not now off once only other our ours out over
+  own same she should some such than that the their theirs them then there these they this those
+  through too under until very was were what when where which while who whom why will with would
+  you your yours yourself the get got really like make want wants looking help way things thing
+`.trim().split(/\s+/));
+
+function matchingCacheTtlMinutes() {
+  return parseInt(process.env.MATCHING_CACHE_TTL_MINUTES, 10) || 360;
+}
+
+// Lowercased word tokens without stopwords, with a light plural strip so "agencies" meets "agency"
+function tokenize(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(word => {
+      if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+      if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+      return word;
+    });
+}
+
+function textOf(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(textOf).join(' ');
+  if (typeof value === 'object') return Object.values(value).map(textOf).join(' ');
+  return String(value);
+}
+
+// A member's matchable profile: terms per facet with a display form for explanations, the plain
+// text an embedding model reads, and a hash that changes whenever either does. Hidden and
+// admin-only fields are left out, since explanations are shown to other members.
+function buildDocument(member, fields) {
+  const privacy = member.privacy_settings || {};
+  const hiddenFields = Array.isArray(privacy.hidden_fields) ? privacy.hidden_fields : [];
+  const adminOnlyKeys = fields.filter(field => field.visibility !== 'members').map(field => field.key);
+  const customFields = omitKeys(member.custom_fields || {}, [...hiddenFields, ...adminOnlyKeys]);
+  const waitlistResponses = omitKeys(member.waitlist_responses || {}, hiddenFields);
+  const definitions = new Map(fields.map(field => [field.key, field]));
+
+  const terms = new Map();
+  const display = new Map();
+  const texts = [];
+  const add = (facet, key, shown) => {
+    const term = `${facet}:${key}`;
+    terms.set(term, (terms.get(term) || 0) + 1);
+    if (!display.has(term)) display.set(term, shown);
+  };
+  const addText = (facet, text) => {
+    if (!text) return;
+    texts.push(text);
+    const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+    for (const word of words) {
+      const [token] = tokenize(word);
+      if (token) add(facet, token, word.toLowerCase());
+    }
+  };
+
+  for (const skill of Array.isArray(member.skills) ? member.skills : []) {
+    const phrase = String(skill).trim();
+    if (phrase) {
+      add('skills', phrase.toLowerCase(), phrase);
+      texts.push(phrase);
+    }
+  }
+
+  addText('profile', member.headline);
+  addText('profile', member.bio);
+
+  for (const [key, value] of Object.entries(customFields)) {
+    const definition = definitions.get(key);
+    if (definition && ['select', 'multi_select'].includes(definition.type)) {
+      // Picking the same option is a match on that option, not on its words
+      for (const option of Array.isArray(value) ? value : [value]) {
+        if (option === null || option === undefined || option === '') continue;
+        add('fields', `${key}=${String(option).toLowerCase()}`, `${definition.label}: ${option}`);
+        texts.push(`${definition.label}: ${option}`);
+      }
+    } else if (!definition || definition.type === 'text') {
+      const label = definition ? definition.label : key;
+      addText(GOAL_PATTERN.test(`${key} ${label}`) ? 'goals' : 'profile', textOf(value));
+    }
+  }
+
+  for (const [question, answer] of Object.entries(waitlistResponses)) {
+    addText(GOAL_PATTERN.test(question) ? 'goals' : 'answers', textOf(answer));
+  }
+
+  const text = texts.join('\n');
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify([...terms.entries()].sort()))
+    .update(text)
+    .digest('hex');
+
+  return { userId: member.user_id, terms, display, text, hash };
+}
+
+// Sparse TF-IDF vectors over the community, weighted by facet and normalized to unit length
+function tfidfVectors(documents) {
+  const documentFrequency = new Map();
+  for (const document of documents) {
+    for (const term of document.terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const count = documents.length;
+  const vectors = new Map();
+  for (const document of documents) {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, frequency] of document.terms) {
+      const idf = Math.log((1 + count) / (1 + documentFrequency.get(term))) + 1;
+      const facet = term.slice(0, term.indexOf(':'));
+      const weight = (1 + Math.log(frequency)) * idf * FACETS[facet].weight;
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    vectors.set(document.userId, vector);
+  }
+  return vectors;
+}
+
+function sparseCosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let score = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) score += weight * other;
+  }
+  return score;
+}
+
+function denseCosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// The shared terms that contributed most, grouped by facet and strongest facet first
+function explainMatch(vector, candidateVector, document) {
+  const byFacet = new Map();
+  for (const [term, weight] of vector) {
+    const other = candidateVector.get(term);
+    if (!other) continue;
+    const facet = term.slice(0, term.indexOf(':'));
+    if (!byFacet.has(facet)) byFacet.set(facet, { total: 0, terms: [] });
+    const entry = byFacet.get(facet);
+    entry.total += weight * other;
+    entry.terms.push({ shown: document.display.get(term), contribution: weight * other });
+  }
+
+  return [...byFacet.entries()]
+    .sort(([, a], [, b]) => b.total - a.total)
+    .map(([facet, entry]) => ({
+      type: facet,
+      label: FACETS[facet].label,
+      terms: entry.terms
+        .sort((a, b) => b.contribution - a.contribution)
+        .slice(0, MAX_REASON_TERMS)
+        .map(term => term.shown)
+    }));
+}
+
+function describeReasons(reasons) {
+  if (reasons.length === 0) return 'Your profiles and answers cover similar ground';
+  return reasons.map(reason => `${reason.label}: ${reason.terms.join(', ')}`).join(' · ');
+}
+
+// Embedding providers
+// A provider is { name, model, embed(texts) } where embed resolves to one numeric vector per
+// text, in order. Vectors are stored per member and reused until that member's profile changes.
+// Choose the provider with MATCHING_PROVIDER; 'tfidf' (the default) uses no provider.
+const embeddingProviders = new Map();
+
+function registerEmbeddingProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.embed !== 'function') {
+    throw new Error('An embedding provider needs a name and an embed(texts) function');
+  }
+  if (provider.name === 'tfidf') {
+    throw new Error('"tfidf" is the built-in scorer and cannot be replaced');
+  }
+  embeddingProviders.set(provider.name, { model: provider.model || 'default', ...provider });
+}
+
+// Any service that speaks the OpenAI embeddings API
+registerEmbeddingProvider({
+  name: 'openai',
+  model: process.env.MATCHING_EMBEDDINGS_MODEL || 'text-embedding-3-small',
+  async embed(texts) {
+    if (!process.env.MATCHING_EMBEDDINGS_API_KEY) {
+      throw new Error('MATCHING_EMBEDDINGS_API_KEY is not set');
+    }
+    const response = await axios.post(
+      process.env.MATCHING_EMBEDDINGS_URL || 'https://api.openai.com/v1/embeddings',
+      { model: this.model, input: texts },
+      { headers: { Authorization: `Bearer ${process.env.MATCHING_EMBEDDINGS_API_KEY}` }, timeout: 30000 }
+    );
+    return response.data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+});
+
+function activeProviderName() {
+  return process.env.MATCHING_PROVIDER || 'tfidf';
+}
+
+// Vectors for every document from the provider, embedding only profiles that are new or changed
+async function embeddingVectors(companyId, provider, documents) {
+  const stored = await pool.query(`
+    SELECT user_id, document_hash, embedding
+    FROM member_embeddings
+    WHERE company_id = $1 AND provider = $2 AND model = $3
+  `, [companyId, provider.name, provider.model]);
+  const byUser = new Map(stored.rows.map(row => [row.user_id, row]));
+
+  const vectors = new Map();
+  const stale = [];
+  for (const document of documents) {
+    const row = byUser.get(document.userId);
+    if (row && row.document_hash === document.hash) {
+      vectors.set(document.userId, row.embedding);
+    } else if (document.text) {
+      stale.push(document);
+    }
+  }
+
+  for (let index = 0; index < stale.length; index += EMBEDDING_BATCH_SIZE) {
+    const batch = stale.slice(index, index + EMBEDDING_BATCH_SIZE);
+    const embeddings = await provider.embed(batch.map(document => document.text));
+    if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+      throw new Error(`Embedding provider ${provider.name} returned ${embeddings && embeddings.length} vectors for ${batch.length} texts`);
+    }
+
+    await pool.query(`
+      INSERT INTO member_embeddings (company_id, user_id, provider, model, document_hash, embedding)
+      SELECT $1, entry.user_id, $2, $3, entry.document_hash, entry.embedding
+      FROM jsonb_to_recordset($4::jsonb) AS entry(user_id TEXT, document_hash TEXT, embedding JSONB)
+      ON CONFLICT (company_id, user_id, provider, model) DO UPDATE SET
+        document_hash = EXCLUDED.document_hash,
+        embedding = EXCLUDED.embedding,
+        updated_at = CURRENT_TIMESTAMP
+    `, [companyId, provider.name, provider.model, JSON.stringify(batch.map((document, position) => ({
+      user_id: document.userId,
+      document_hash: document.hash,
+      embedding: embeddings[position]
+    })))]);
+    batch.forEach((document, position) => vectors.set(document.userId, embeddings[position]));
+  }
+
+  return vectors;
+}
+
+// Members who can be suggested: listed, visible and not opted out. The member asking is
+// loaded too, even if they've hidden themselves.
+async function loadMatchCandidates(companyId, userId) {
+  const result = await pool.query(`
+    SELECT user_id, skills, headline, bio, custom_fields, waitlist_responses, privacy_settings
+    FROM whop_members
+    WHERE company_id = $1 AND status = 'active'
+      AND ((hidden = FALSE AND (privacy_settings->>'opt_out')::boolean IS NOT TRUE) OR user_id = $2)
+  `, [companyId, userId]);
+  return result.rows;
+}
+
+async function computeMatches(companyId, userId, documents, providerName) {
+  const target = documents.find(document => document.userId === userId);
+  const tfidf = tfidfVectors(documents);
+
+  let scores = null;
+  let provider = 'tfidf';
+  const embeddingProvider = providerName === 'tfidf' ? null : embeddingProviders.get(providerName);
+  if (providerName !== 'tfidf' && !embeddingProvider) {
+    console.warn(`⚠️ Unknown matching provider ${providerName}; using tfidf`);
+  }
+  if (embeddingProvider && target.text) {
+    try {
+      const vectors = await embeddingVectors(companyId, embeddingProvider, documents);
+      const own = vectors.get(userId);
+      scores = new Map(documents
+        .filter(document => vectors.has(document.userId))
+        .map(document => [document.userId, denseCosine(own, vectors.get(document.userId))]));
+      provider = `${embeddingProvider.name}:${embeddingProvider.model}`;
+    } catch (error) {
+      // Suggestions still work without the model, just from word overlap
+      console.error(`❌ Embedding provider ${embeddingProvider.name} failed; using tfidf:`, error.message);
+    }
+  }
+
+  const own = tfidf.get(userId);
+  const matches = documents
+    .filter(document => document.userId !== userId && document.terms.size > 0)
+    .map(document => ({
+      user_id: document.userId,
+      score: scores ? (scores.get(document.userId) || 0) : sparseCosine(own, tfidf.get(document.userId))
+    }))
+    .filter(match => match.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MATCH_LIMIT)
+    .map(match => {
+      const reasons = explainMatch(own, tfidf.get(match.user_id), target);
+      return {
+        user_id: match.user_id,
+        score: Math.round(match.score * 10000) / 10000,
+        reasons,
+        explanation: describeReasons(reasons)
+      };
+    });
+
+  return { provider, matches };
+}
+
+// A member's suggested connections, best first: { provider, computed_at, cached, matches }.
+// Cached results are reused while the member's own profile is unchanged and younger than
+// MATCHING_CACHE_TTL_MINUTES; options.refresh recomputes them. fields is the company's schema.
+async function findMatches(companyId, userId, fields, options = {}) {
+  const candidates = await loadMatchCandidates(companyId, userId);
+  const documents = candidates.map(member => buildDocument(member, fields));
+  const target = documents.find(document => document.userId === userId);
+  if (!target) {
+    return { provider: null, computed_at: null, cached: false, matches: [] };
+  }
+
+  const providerName = activeProviderName();
+  if (!options.refresh) {
+    const cached = await pool.query(`
+      SELECT provider, matches, computed_at
+      FROM member_matches
+      WHERE company_id = $1 AND user_id = $2 AND document_hash = $3
+        AND computed_at > CURRENT_TIMESTAMP - make_interval(mins => $4)
+    `, [companyId, userId, target.hash, matchingCacheTtlMinutes()]);
+    const row = cached.rows[0];
+    if (row && row.provider.split(':')[0] === providerName) {
+      return { provider: row.provider, computed_at: row.computed_at, cached: true, matches: row.matches };
+    }
+  }
+
+  const { provider, matches } = target.terms.size > 0
+    ? await computeMatches(companyId, userId, documents, providerName)
+    : { provider: 'tfidf', matches: [] };
+
+  const saved = await pool.query(`
+    INSERT INTO member_matches (company_id, user_id, provider, document_hash, matches, computed_at)
+    VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+    ON CONFLICT (company_id, user_id) DO UPDATE SET
+      provider = EXCLUDED.provider,
+      document_hash = EXCLUDED.document_hash,
+      matches = EXCLUDED.matches,
+      computed_at = EXCLUDED.computed_at
+    RETURNING computed_at
+  `, [companyId, userId, provider, target.hash, JSON.stringify(matches)]);
+
+  return { provider, computed_at: saved.rows[0].computed_at, cached: false, matches };
+}
+
+module.exports = {
+  findMatches,
+  registerEmbeddingProvider
+};
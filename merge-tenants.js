@@ -0,0 +1,289 @@
+const { pool } = require('./db');
+
+// Tenant merges
+// Folds a duplicate tenant (source) into the community it duplicates (target) in one transaction:
+// members, aliases, settings, field definitions, experiences and history all move to the target,
+// the source row is kept with status 'merged', and the run is recorded in tenant_merges.
+// A dry run performs the same statements and rolls them back, so its report matches a real run.
+const MAX_REPORTED_CONFLICTS = 100;
+
+class TenantMergeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TenantMergeError';
+    this.status = status;
+  }
+}
+
+async function loadCompanyForMerge(client, companyId, role) {
+  const result = await client.query(`
+    SELECT company_id, company_name, company_slug, status, merged_into
+    FROM whop_companies
+    WHERE company_id = $1
+    FOR UPDATE
+  `, [companyId]);
+
+  const company = result.rows[0];
+  if (!company) {
+    throw new TenantMergeError(404, `${role} company ${companyId} not found`);
+  }
+  if (company.status === 'merged') {
+    throw new TenantMergeError(409, `${role} company ${companyId} was already merged into ${company.merged_into}`);
+  }
+  return company;
+}
+
+// Members in both tenants keep the target row; its gaps are filled from the source row, the earlier
+// join date wins, and the stricter of the two privacy choices applies. Status and billing come
+// together from the row with the latest payment or renewal (an active row wins a tie, then the
+// target), so the member's status always agrees with their membership.
+async function mergeConflictingMembers(client, sourceId, targetId) {
+  const result = await client.query(`
+    WITH source AS (
+      SELECT s.*,
+        (COALESCE(GREATEST(s.last_payment_at, s.renewal_period_end), '-infinity'), s.status = 'active')
+          > (COALESCE(GREATEST(t.last_payment_at, t.renewal_period_end), '-infinity'), t.status = 'active')
+          AS source_wins
+      FROM whop_members s
+      JOIN whop_members t ON t.company_id = $2 AND t.user_id = s.user_id
+      WHERE s.company_id = $1
+    )
+    UPDATE whop_members t SET
+      status = CASE WHEN s.source_wins THEN s.status ELSE t.status END,
+      membership_status = CASE WHEN s.source_wins THEN s.membership_status ELSE t.membership_status END,
+      membership_id = CASE WHEN s.source_wins
+        THEN COALESCE(s.membership_id, t.membership_id)
+        ELSE COALESCE(t.membership_id, s.membership_id)
+      END,
+      plan_id = CASE WHEN s.source_wins THEN s.plan_id ELSE t.plan_id END,
+      product_id = CASE WHEN s.source_wins THEN s.product_id ELSE t.product_id END,
+      cancel_at_period_end = CASE WHEN s.source_wins THEN s.cancel_at_period_end ELSE t.cancel_at_period_end END,
+      renewal_period_end = CASE WHEN s.source_wins THEN s.renewal_period_end ELSE t.renewal_period_end END,
+      last_payment_at = CASE WHEN s.source_wins THEN s.last_payment_at ELSE t.last_payment_at END,
+      last_payment_status = CASE WHEN s.source_wins THEN s.last_payment_status ELSE t.last_payment_status END,
+      email = COALESCE(t.email, s.email),
+      name = COALESCE(t.name, s.name),
+      username = COALESCE(t.username, s.username),
+      profile_picture = COALESCE(t.profile_picture, s.profile_picture),
+      display_name = COALESCE(t.display_name, s.display_name),
+      headline = COALESCE(t.headline, s.headline),
+      bio = COALESCE(t.bio, s.bio),
+      location = COALESCE(t.location, s.location),
+      website = COALESCE(t.website, s.website),
+      skills = CASE WHEN t.skills = '[]'::jsonb THEN s.skills ELSE t.skills END,
+      social_links = s.social_links || t.social_links,
+      custom_fields = COALESCE(s.custom_fields, '{}'::jsonb) || COALESCE(t.custom_fields, '{}'::jsonb),
+      waitlist_responses = COALESCE(t.waitlist_responses, s.waitlist_responses),
+      privacy_settings = jsonb_build_object(
+        'opt_out', COALESCE((t.privacy_settings->>'opt_out')::boolean, FALSE)
+          OR COALESCE((s.privacy_settings->>'opt_out')::boolean, FALSE),
+        'hide_email', COALESCE((t.privacy_settings->>'hide_email')::boolean, FALSE)
+          OR COALESCE((s.privacy_settings->>'hide_email')::boolean, FALSE),
+        'hidden_fields', (
+          SELECT COALESCE(jsonb_agg(DISTINCT hidden_field.key), '[]'::jsonb)
+          FROM jsonb_array_elements_text(
+            COALESCE(t.privacy_settings->'hidden_fields', '[]'::jsonb) ||
+            COALESCE(s.privacy_settings->'hidden_fields', '[]'::jsonb)
+          ) AS hidden_field(key)
+        )
+      ),
+      hidden = t.hidden OR s.hidden,
+      featured = t.featured OR s.featured,
+      joined_at = LEAST(t.joined_at, s.joined_at),
+      profile_updated_at = GREATEST(t.profile_updated_at, s.profile_updated_at),
+      updated_at = CURRENT_TIMESTAMP
+    FROM source s
+    WHERE t.company_id = $2 AND t.user_id = s.user_id
+    RETURNING t.user_id, s.source_wins
+  `, [sourceId, targetId]);
+
+  await client.query(`
+    DELETE FROM whop_members s
+    USING whop_members t
+    WHERE s.company_id = $1 AND t.company_id = $2 AND t.user_id = s.user_id
+  `, [sourceId, targetId]);
+
+  return result.rows;
+}
+
+// Moves membership history to the target. Interleaving two histories of one member would count
+// their joins and leaves twice, so a member in both tenants keeps only the history of the row
+// whose status won; the other stays with the source tenant. Events are append-only, so that
+// history is swapped by company_id rather than deleted. Returns { moved, superseded }.
+async function mergeMembershipEvents(client, sourceId, targetId, conflicts) {
+  const conflictingUserIds = conflicts.map(conflict => conflict.user_id);
+  const sourceWinnerIds = conflicts.filter(conflict => conflict.source_wins).map(conflict => conflict.user_id);
+
+  await client.query(`
+    UPDATE membership_events SET company_id = CASE WHEN company_id = $1 THEN $2 ELSE $1 END
+    WHERE company_id IN ($1, $2) AND user_id = ANY($3::varchar[])
+  `, [sourceId, targetId, sourceWinnerIds]);
+
+  const moved = await client.query(`
+    UPDATE membership_events SET company_id = $2
+    WHERE company_id = $1 AND NOT (user_id = ANY($3::varchar[]))
+  `, [sourceId, targetId, conflictingUserIds]);
+
+  const superseded = await client.query(`
+    SELECT COUNT(*)::int AS count FROM membership_events WHERE company_id = $1
+  `, [sourceId]);
+
+  return { moved: moved.rowCount, superseded: superseded.rows[0].count };
+}
+
+// Moves every row of table from the source to the target tenant and returns how many moved
+async function repointRows(client, table, sourceId, targetId) {
+  const result = await client.query(`UPDATE ${table} SET company_id = $2 WHERE company_id = $1`, [sourceId, targetId]);
+  return result.rowCount;
+}
+
+async function mergeTenants(sourceId, targetId, options = {}) {
+  const { dryRun = false, actor = 'unknown' } = options;
+
+  if (!sourceId || !targetId) {
+    throw new TenantMergeError(400, 'Both a source and a target company are required');
+  }
+  if (sourceId === targetId) {
+    throw new TenantMergeError(400, 'A company cannot be merged into itself');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Hold both tenants' sync locks so no sync writes to either while rows move
+    for (const companyId of [sourceId, targetId]) {
+      const lock = await client.query(`SELECT pg_try_advisory_xact_lock(hashtext($1)) AS acquired`, [`sync:${companyId}`]);
+      if (!lock.rows[0].acquired) {
+        throw new TenantMergeError(409, `A sync is running for ${companyId}; try again when it finishes`);
+      }
+    }
+
+    const source = await loadCompanyForMerge(client, sourceId, 'Source');
+    const target = await loadCompanyForMerge(client, targetId, 'Target');
+
+    const conflicts = await mergeConflictingMembers(client, sourceId, targetId);
+    const movedMembers = await repointRows(client, 'whop_members', sourceId, targetId);
+    const membershipEvents = await mergeMembershipEvents(client, sourceId, targetId, conflicts);
+
+    // The target's schema wins; source fields with new keys are added to it
+    const movedFields = await client.query(`
+      UPDATE company_field_definitions s SET company_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE s.company_id = $1
+        AND NOT EXISTS (SELECT 1 FROM company_field_definitions t WHERE t.company_id = $2 AND t.key = s.key)
+      RETURNING s.key
+    `, [sourceId, targetId]);
+    const droppedFields = await client.query(`
+      DELETE FROM company_field_definitions WHERE company_id = $1 RETURNING key
+    `, [sourceId]);
+
+    // Branding moves over only when the target has none of its own
+    const movedSettings = await client.query(`
+      UPDATE company_settings SET company_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE company_id = $1 AND NOT EXISTS (SELECT 1 FROM company_settings WHERE company_id = $2)
+    `, [sourceId, targetId]);
+    const droppedSettings = await client.query(`DELETE FROM company_settings WHERE company_id = $1`, [sourceId]);
+
+    // The source's biz ID, slugs and experience IDs now resolve to the target
+    const aliases = await client.query(`
+      UPDATE company_aliases SET company_id = $2 WHERE company_id = $1 RETURNING alias_type, alias
+    `, [sourceId, targetId]);
+
+    const experiences = await client.query(`
+      UPDATE experiences SET company_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE company_id = $1
+      RETURNING experience_id
+    `, [sourceId, targetId]);
+
+    // Suggested connections are worked out over the whole community, so both tenants' caches are
+    // stale once it grows; they are rebuilt on the next request
+    const droppedMatches = await client.query(`
+      DELETE FROM member_matches WHERE company_id = ANY($1::varchar[])
+    `, [[sourceId, targetId]]);
+    await client.query(`DELETE FROM member_embeddings WHERE company_id = $1`, [sourceId]);
+
+    const summary = {
+      source: { company_id: source.company_id, name: source.company_name, slug: source.company_slug },
+      target: { company_id: target.company_id, name: target.company_name, slug: target.company_slug },
+      members: {
+        moved: movedMembers,
+        merged: conflicts.length,
+        conflicting_user_ids: conflicts.slice(0, MAX_REPORTED_CONFLICTS).map(conflict => conflict.user_id)
+      },
+      fields: {
+        moved: movedFields.rows.map(row => row.key),
+        dropped: droppedFields.rows.map(row => row.key)
+      },
+      settings: movedSettings.rowCount > 0 ? 'moved' : (droppedSettings.rowCount > 0 ? 'kept_target' : 'none'),
+      aliases: aliases.rows,
+      experiences: experiences.rows.map(row => row.experience_id),
+      experience_members: await repointRows(client, 'experience_members', sourceId, targetId),
+      audit_entries: await repointRows(client, 'member_audit_log', sourceId, targetId),
+      member_imports: await repointRows(client, 'member_imports', sourceId, targetId),
+      cleared_match_caches: droppedMatches.rowCount,
+      membership_events: membershipEvents.moved,
+      superseded_membership_events: membershipEvents.superseded,
+      sync_jobs: await repointRows(client, 'sync_jobs', sourceId, targetId),
+      webhook_events: await repointRows(client, 'webhook_events', sourceId, targetId),
+      webhook_dead_letters: await repointRows(client, 'webhook_dead_letters', sourceId, targetId)
+    };
+
+    await client.query(`
+      UPDATE whop_companies SET merged_into = $2 WHERE merged_into = $1
+    `, [sourceId, targetId]);
+    await client.query(`
+      UPDATE whop_companies SET status = 'merged', merged_into = $2, last_activity = CURRENT_TIMESTAMP
+      WHERE company_id = $1
+    `, [sourceId, targetId]);
+
+    const merge = await client.query(`
+      INSERT INTO tenant_merges (source_company_id, target_company_id, actor, summary)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, merged_at
+    `, [sourceId, targetId, actor, JSON.stringify(summary)]);
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return { dry_run: true, ...summary };
+    }
+
+    await client.query('COMMIT');
+    return { dry_run: false, merge_id: merge.rows[0].id, merged_at: merge.rows[0].merged_at, ...summary };
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function main(args) {
+  const dryRun = args.includes('--dry-run');
+  const [sourceId, targetId] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!sourceId || !targetId) {
+    throw new Error('Usage: npm run merge-tenants -- <source_company_id> <target_company_id> [--dry-run]');
+  }
+
+  const result = await mergeTenants(sourceId, targetId, { dryRun, actor: 'cli' });
+  console.log(JSON.stringify(result, null, 2));
+  console.log(dryRun
+    ? `🔍 Dry run: ${sourceId} would be merged into ${targetId}; nothing was changed`
+    : `✅ Merged ${sourceId} into ${targetId} (merge #${result.merge_id})`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async error => {
+      console.error('❌ Merge error:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  mergeTenants,
+  TenantMergeError
+};
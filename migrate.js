@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// Versioned schema migrations
+// Each file in migrations/ is named NNN_description.js and exports async up(client) / down(client).
+// Applied versions are recorded in schema_migrations; a failed run is recorded too so the
+// server refuses to start until it is fixed and re-run.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_KEY = 'schema_migrations';
+
+class MigrationLockedError extends Error {
+  constructor() {
+    super('Another migration run holds the lock');
+    this.name = 'MigrationLockedError';
+  }
+}
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: file.split('_')[0],
+        name: file.replace(/\.js$/, ''),
+        ...migration
+      };
+    });
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      error TEXT
+    )
+  `);
+}
+
+async function getMigrationStatus(client = pool) {
+  await ensureMigrationsTable(client);
+
+  const migrations = loadMigrations();
+  const result = await client.query(`SELECT version, status, applied_at, error FROM schema_migrations`);
+  const recorded = new Map(result.rows.map(row => [row.version, row]));
+
+  return migrations.map(migration => {
+    const row = recorded.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      status: row ? row.status : 'pending',
+      applied_at: row ? row.applied_at : null,
+      error: row ? row.error : null
+    };
+  });
+}
+
+// Run fn while holding the migration advisory lock on a dedicated connection
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+
+  try {
+    const lock = await client.query(`SELECT pg_try_advisory_lock(hashtext($1)) AS acquired`, [MIGRATION_LOCK_KEY]);
+    if (!lock.rows[0].acquired) {
+      throw new MigrationLockedError();
+    }
+
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock(hashtext($1))`, [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Apply every pending (or previously failed) migration in order, each in its own transaction
+async function migrateUp() {
+  return withMigrationLock(async client => {
+    const migrations = loadMigrations();
+    const status = await getMigrationStatus(client);
+    const applied = [];
+
+    for (const migration of migrations) {
+      const current = status.find(entry => entry.version === migration.version);
+      if (current.status === 'applied') continue;
+
+      console.log(`⬆️  Applying ${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, status, applied_at, error)
+          VALUES ($1, $2, 'applied', CURRENT_TIMESTAMP, NULL)
+          ON CONFLICT (version)
+          DO UPDATE SET status = 'applied', applied_at = CURRENT_TIMESTAMP, error = NULL
+        `, [migration.version, migration.name]);
+        await client.query('COMMIT');
+        applied.push(migration.name);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        await client.query(`
+          INSERT INTO schema_migrations (version, name, status, applied_at, error)
+          VALUES ($1, $2, 'failed', CURRENT_TIMESTAMP, $3)
+          ON CONFLICT (version)
+          DO UPDATE SET status = 'failed', applied_at = CURRENT_TIMESTAMP, error = EXCLUDED.error
+        `, [migration.version, migration.name, error.message]);
+        console.error(`❌ Migration ${migration.name} failed:`, error.message);
+        throw error;
+      }
+    }
+
+    return applied;
+  });
+}
+
+// Revert the most recently applied migrations
+async function migrateDown(steps = 1) {
+  return withMigrationLock(async client => {
+    const migrations = loadMigrations();
+    const status = await getMigrationStatus(client);
+    const toRevert = status
+      .filter(entry => entry.status === 'applied')
+      .reverse()
+      .slice(0, steps);
+    const reverted = [];
+
+    for (const entry of toRevert) {
+      const migration = migrations.find(m => m.version === entry.version);
+
+      console.log(`⬇️  Reverting ${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version]);
+        await client.query('COMMIT');
+        reverted.push(migration.name);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`❌ Reverting ${migration.name} failed:`, error.message);
+        throw error;
+      }
+    }
+
+    return reverted;
+  });
+}
+
+// Throws if any migration is pending or failed; the server calls this before listening
+async function assertMigrationsApplied() {
+  const status = await getMigrationStatus();
+  const failed = status.filter(entry => entry.status === 'failed');
+  const pending = status.filter(entry => entry.status === 'pending');
+
+  if (failed.length > 0) {
+    throw new Error(`Failed migrations: ${failed.map(entry => entry.name).join(', ')}. Fix them and run \`npm run migrate\`.`);
+  }
+
+  if (pending.length > 0) {
+    throw new Error(`Pending migrations: ${pending.map(entry => entry.name).join(', ')}. Run \`npm run migrate\`.`);
+  }
+}
+
+async function main(args) {
+  const [command = 'up', arg] = args;
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Usage: npm run migrate -- down [steps]');
+      }
+      const reverted = await migrateDown(steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const status = await getMigrationStatus();
+      for (const entry of status) {
+        const icon = { applied: '✅', pending: '⏳', failed: '❌' }[entry.status];
+        console.log(`${icon} ${entry.name} (${entry.status})${entry.error ? ` - ${entry.error}` : ''}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async error => {
+      console.error('❌ Migration error:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertMigrationsApplied,
+  MigrationLockedError
+};
@@ -0,0 +1,39 @@
+// Companies and members tables as originally created by initializeDatabase.
+// IF NOT EXISTS lets deployments that predate migrations adopt this version.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS whop_companies (
+        id SERIAL PRIMARY KEY,
+        company_id VARCHAR(255) UNIQUE NOT NULL,
+        company_name VARCHAR(500),
+        company_slug VARCHAR(255),
+        installed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        status VARCHAR(50) DEFAULT 'active'
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS whop_members (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        membership_id VARCHAR(255),
+        company_id VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        name VARCHAR(255),
+        username VARCHAR(255),
+        custom_fields JSONB DEFAULT '{}',
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        status VARCHAR(50) DEFAULT 'active',
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, company_id)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS whop_members`);
+    await client.query(`DROP TABLE IF EXISTS whop_companies`);
+  }
+};
@@ -0,0 +1,12 @@
+// syncMembersWithWhop writes profile_picture, which the original DDL never defined
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members ADD COLUMN IF NOT EXISTS profile_picture TEXT
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE whop_members DROP COLUMN IF EXISTS profile_picture`);
+  }
+};
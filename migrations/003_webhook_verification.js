@@ -0,0 +1,22 @@
+// Per-company webhook secrets and seen delivery IDs for replay protection
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_companies ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(255)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        action VARCHAR(255),
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS webhook_deliveries`);
+    await client.query(`ALTER TABLE whop_companies DROP COLUMN IF EXISTS webhook_secret`);
+  }
+};
@@ -0,0 +1,18 @@
+// Who registered the company through /api/register-group, and when
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_companies
+        ADD COLUMN IF NOT EXISTS registered_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS registered_by VARCHAR(255)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE whop_companies
+        DROP COLUMN IF EXISTS registered_at,
+        DROP COLUMN IF EXISTS registered_by
+    `);
+  }
+};
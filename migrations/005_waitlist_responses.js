@@ -0,0 +1,12 @@
+// Answers collected from the Whop waitlist application
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members ADD COLUMN IF NOT EXISTS waitlist_responses JSONB
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE whop_members DROP COLUMN IF EXISTS waitlist_responses`);
+  }
+};
@@ -0,0 +1,44 @@
+// Sync results, per-company staleness threshold and the sync_jobs run log
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_companies
+        ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_sync_fetched INTEGER,
+        ADD COLUMN IF NOT EXISTS last_sync_stored INTEGER,
+        ADD COLUMN IF NOT EXISTS sync_interval_minutes INTEGER,
+        ADD COLUMN IF NOT EXISTS last_sync_attempt_at TIMESTAMP
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id SERIAL PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        trigger VARCHAR(50) NOT NULL,
+        status VARCHAR(50) NOT NULL DEFAULT 'running',
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP,
+        fetched INTEGER,
+        stored INTEGER,
+        deactivated INTEGER,
+        error TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_company ON sync_jobs (company_id, started_at DESC)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS sync_jobs`);
+    await client.query(`
+      ALTER TABLE whop_companies
+        DROP COLUMN IF EXISTS last_synced_at,
+        DROP COLUMN IF EXISTS last_sync_fetched,
+        DROP COLUMN IF EXISTS last_sync_stored,
+        DROP COLUMN IF EXISTS sync_interval_minutes,
+        DROP COLUMN IF EXISTS last_sync_attempt_at
+    `);
+  }
+};
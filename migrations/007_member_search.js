@@ -0,0 +1,48 @@
+// Full-text and fuzzy search over names, usernames and profile answers
+module.exports = {
+  async up(client) {
+    await client.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm`);
+
+    await client.query(`
+      CREATE OR REPLACE FUNCTION directory_flatten_jsonb(data JSONB) RETURNS TEXT
+      LANGUAGE sql IMMUTABLE AS $$
+        SELECT COALESCE(string_agg(value #>> '{}', ' '), '')
+        FROM jsonb_path_query(COALESCE(data, '{}'::jsonb), 'strict $.**') AS value
+        WHERE jsonb_typeof(value) IN ('string', 'number')
+      $$
+    `);
+
+    await client.query(`
+      ALTER TABLE whop_members
+        ADD COLUMN IF NOT EXISTS search_text TEXT GENERATED ALWAYS AS (
+          COALESCE(name, '') || ' ' || COALESCE(username, '') || ' ' ||
+          directory_flatten_jsonb(custom_fields) || ' ' ||
+          directory_flatten_jsonb(waitlist_responses)
+        ) STORED,
+        ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', COALESCE(name, '') || ' ' || COALESCE(username, '')), 'A') ||
+          setweight(to_tsvector('english', directory_flatten_jsonb(custom_fields)), 'B') ||
+          setweight(to_tsvector('english', directory_flatten_jsonb(waitlist_responses)), 'C')
+        ) STORED
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_whop_members_search_vector ON whop_members USING GIN (search_vector)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_whop_members_search_trgm ON whop_members USING GIN (search_text gin_trgm_ops)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_whop_members_search_trgm`);
+    await client.query(`DROP INDEX IF EXISTS idx_whop_members_search_vector`);
+    await client.query(`
+      ALTER TABLE whop_members
+        DROP COLUMN IF EXISTS search_vector,
+        DROP COLUMN IF EXISTS search_text
+    `);
+    await client.query(`DROP FUNCTION IF EXISTS directory_flatten_jsonb(JSONB)`);
+  }
+};
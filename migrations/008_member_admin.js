@@ -0,0 +1,75 @@
+// Admin-managed member state (hidden, featured, display name) and the audit trail of admin changes
+const SEARCH_COLUMNS = (includeDisplayName) => `
+  ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+    ${includeDisplayName ? `COALESCE(display_name, '') || ' ' ||` : ''}
+    COALESCE(name, '') || ' ' || COALESCE(username, '') || ' ' ||
+    directory_flatten_jsonb(custom_fields) || ' ' ||
+    directory_flatten_jsonb(waitlist_responses)
+  ) STORED,
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple',
+      ${includeDisplayName ? `COALESCE(display_name, '') || ' ' ||` : ''}
+      COALESCE(name, '') || ' ' || COALESCE(username, '')), 'A') ||
+    setweight(to_tsvector('english', directory_flatten_jsonb(custom_fields)), 'B') ||
+    setweight(to_tsvector('english', directory_flatten_jsonb(waitlist_responses)), 'C')
+  ) STORED
+`;
+
+async function rebuildSearchColumns(client, includeDisplayName) {
+  await client.query(`
+    ALTER TABLE whop_members
+      DROP COLUMN IF EXISTS search_vector,
+      DROP COLUMN IF EXISTS search_text
+  `);
+  await client.query(`ALTER TABLE whop_members ${SEARCH_COLUMNS(includeDisplayName)}`);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_whop_members_search_vector ON whop_members USING GIN (search_vector)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_whop_members_search_trgm ON whop_members USING GIN (search_text gin_trgm_ops)
+  `);
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members
+        ADD COLUMN IF NOT EXISTS display_name VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS hidden BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS featured BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255)
+    `);
+
+    // Search should find members by the display name admins give them
+    await rebuildSearchColumns(client, true);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS member_audit_log (
+        id SERIAL PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        actor VARCHAR(255) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        changes JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_member_audit_log_member
+      ON member_audit_log (company_id, user_id, created_at DESC)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS member_audit_log`);
+    await rebuildSearchColumns(client, false);
+    await client.query(`
+      ALTER TABLE whop_members
+        DROP COLUMN IF EXISTS display_name,
+        DROP COLUMN IF EXISTS hidden,
+        DROP COLUMN IF EXISTS featured,
+        DROP COLUMN IF EXISTS updated_by
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+// Member-controlled privacy: { hide_email, opt_out, hidden_fields: [] }
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members
+        ADD COLUMN IF NOT EXISTS privacy_settings JSONB NOT NULL DEFAULT '{}'
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_whop_members_opt_out
+      ON whop_members (company_id)
+      WHERE (privacy_settings->>'opt_out')::boolean IS TRUE
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP INDEX IF EXISTS idx_whop_members_opt_out`);
+    await client.query(`ALTER TABLE whop_members DROP COLUMN IF EXISTS privacy_settings`);
+  }
+};
@@ -0,0 +1,70 @@
+// Member-owned profile fields. Sync and webhooks never write these columns, so a member's
+// edits survive every refresh from Whop.
+const SEARCH_COLUMNS = (includeProfile) => `
+  ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+    COALESCE(display_name, '') || ' ' ||
+    COALESCE(name, '') || ' ' || COALESCE(username, '') || ' ' ||
+    ${includeProfile ? `COALESCE(headline, '') || ' ' || COALESCE(location, '') || ' ' ||
+    directory_flatten_jsonb(skills) || ' ' || COALESCE(bio, '') || ' ' ||` : ''}
+    directory_flatten_jsonb(custom_fields) || ' ' ||
+    directory_flatten_jsonb(waitlist_responses)
+  ) STORED,
+  ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple',
+      COALESCE(display_name, '') || ' ' ||
+      COALESCE(name, '') || ' ' || COALESCE(username, '')), 'A') ||
+    ${includeProfile ? `setweight(to_tsvector('english',
+      COALESCE(headline, '') || ' ' || directory_flatten_jsonb(skills)), 'B') ||
+    setweight(to_tsvector('english', COALESCE(location, '') || ' ' || COALESCE(bio, '')), 'C') ||` : ''}
+    setweight(to_tsvector('english', directory_flatten_jsonb(custom_fields)), 'B') ||
+    setweight(to_tsvector('english', directory_flatten_jsonb(waitlist_responses)), 'C')
+  ) STORED
+`;
+
+async function rebuildSearchColumns(client, includeProfile) {
+  await client.query(`
+    ALTER TABLE whop_members
+      DROP COLUMN IF EXISTS search_vector,
+      DROP COLUMN IF EXISTS search_text
+  `);
+  await client.query(`ALTER TABLE whop_members ${SEARCH_COLUMNS(includeProfile)}`);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_whop_members_search_vector ON whop_members USING GIN (search_vector)
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_whop_members_search_trgm ON whop_members USING GIN (search_text gin_trgm_ops)
+  `);
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members
+        ADD COLUMN IF NOT EXISTS headline VARCHAR(120),
+        ADD COLUMN IF NOT EXISTS bio TEXT,
+        ADD COLUMN IF NOT EXISTS skills JSONB NOT NULL DEFAULT '[]',
+        ADD COLUMN IF NOT EXISTS location VARCHAR(120),
+        ADD COLUMN IF NOT EXISTS website VARCHAR(500),
+        ADD COLUMN IF NOT EXISTS social_links JSONB NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS profile_updated_at TIMESTAMP
+    `);
+
+    // Search should find members by what they write about themselves
+    await rebuildSearchColumns(client, true);
+  },
+
+  async down(client) {
+    await rebuildSearchColumns(client, false);
+
+    await client.query(`
+      ALTER TABLE whop_members
+        DROP COLUMN IF EXISTS profile_updated_at,
+        DROP COLUMN IF EXISTS social_links,
+        DROP COLUMN IF EXISTS website,
+        DROP COLUMN IF EXISTS location,
+        DROP COLUMN IF EXISTS skills,
+        DROP COLUMN IF EXISTS bio,
+        DROP COLUMN IF EXISTS headline
+    `);
+  }
+};
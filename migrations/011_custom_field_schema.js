@@ -0,0 +1,33 @@
+// Admin-defined custom profile fields per company. Member values stay in whop_members.custom_fields,
+// keyed by field key; the server validates writes against these definitions.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS company_field_definitions (
+        id SERIAL PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        key VARCHAR(64) NOT NULL,
+        label VARCHAR(120) NOT NULL,
+        type VARCHAR(20) NOT NULL
+          CHECK (type IN ('text', 'select', 'multi_select', 'url', 'number', 'date')),
+        options JSONB NOT NULL DEFAULT '[]',
+        required BOOLEAN NOT NULL DEFAULT FALSE,
+        display_order INTEGER NOT NULL DEFAULT 0,
+        visibility VARCHAR(20) NOT NULL DEFAULT 'members'
+          CHECK (visibility IN ('members', 'admins')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (company_id, key)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_company_field_definitions_order
+      ON company_field_definitions (company_id, display_order)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS company_field_definitions`);
+  }
+};
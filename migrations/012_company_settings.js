@@ -0,0 +1,25 @@
+// Per-company branding and copy for the directory; missing rows fall back to the built-in theme
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS company_settings (
+        company_id VARCHAR(255) PRIMARY KEY,
+        display_name VARCHAR(255),
+        logo_url VARCHAR(500),
+        accent_color VARCHAR(7),
+        accent_color_secondary VARCHAR(7),
+        theme_mode VARCHAR(10) NOT NULL DEFAULT 'dark' CHECK (theme_mode IN ('dark', 'light')),
+        header_text VARCHAR(255),
+        empty_state_title VARCHAR(120),
+        empty_state_text VARCHAR(500),
+        updated_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS company_settings`);
+  }
+};
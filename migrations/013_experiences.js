@@ -0,0 +1,44 @@
+// Whop experiences (app installs) belong to a company; members are synced per experience
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS experiences (
+        id SERIAL PRIMARY KEY,
+        experience_id VARCHAR(255) UNIQUE NOT NULL,
+        company_id VARCHAR(255) NOT NULL REFERENCES whop_companies(company_id) ON UPDATE CASCADE ON DELETE CASCADE,
+        name VARCHAR(500),
+        app_id VARCHAR(255),
+        status VARCHAR(50) NOT NULL DEFAULT 'active',
+        last_synced_at TIMESTAMP,
+        last_sync_fetched INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_experiences_company ON experiences (company_id)
+    `);
+
+    // Which experiences each member was seen in on the last sync
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS experience_members (
+        experience_id VARCHAR(255) NOT NULL REFERENCES experiences(experience_id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL,
+        company_id VARCHAR(255) NOT NULL,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (experience_id, user_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_experience_members_user ON experience_members (company_id, user_id)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS experience_members`);
+    await client.query(`DROP TABLE IF EXISTS experiences`);
+  }
+};
@@ -0,0 +1,47 @@
+// Every identifier a tenant can be reached by (biz ID, experience ID, URL slug) maps to exactly
+// one company. Requests are resolved through this table only; unknown identifiers are refused.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS company_aliases (
+        id SERIAL PRIMARY KEY,
+        alias_type VARCHAR(20) NOT NULL CHECK (alias_type IN ('company_id', 'experience_id', 'slug')),
+        alias VARCHAR(255) NOT NULL,
+        company_id VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (alias_type, alias)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_company_aliases_company ON company_aliases (company_id)
+    `);
+
+    await client.query(`
+      INSERT INTO company_aliases (alias_type, alias, company_id)
+      SELECT 'company_id', company_id, company_id FROM whop_companies
+      ON CONFLICT (alias_type, alias) DO NOTHING
+    `);
+
+    // Slugs were never unique; when several companies share one, a registered company wins,
+    // then the oldest. The others stay reachable by biz ID.
+    await client.query(`
+      INSERT INTO company_aliases (alias_type, alias, company_id)
+      SELECT DISTINCT ON (LOWER(company_slug)) 'slug', LOWER(company_slug), company_id
+      FROM whop_companies
+      WHERE company_slug IS NOT NULL AND company_slug <> ''
+      ORDER BY LOWER(company_slug), (registered_at IS NULL), id
+      ON CONFLICT (alias_type, alias) DO NOTHING
+    `);
+
+    await client.query(`
+      INSERT INTO company_aliases (alias_type, alias, company_id)
+      SELECT 'experience_id', experience_id, company_id FROM experiences
+      ON CONFLICT (alias_type, alias) DO NOTHING
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS company_aliases`);
+  }
+};
@@ -0,0 +1,29 @@
+// Record of tenants folded into another. The merged company row is kept with status 'merged'
+// and merged_into set, so its history can still be traced.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_companies ADD COLUMN IF NOT EXISTS merged_into VARCHAR(255)
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tenant_merges (
+        id SERIAL PRIMARY KEY,
+        source_company_id VARCHAR(255) NOT NULL,
+        target_company_id VARCHAR(255) NOT NULL,
+        actor VARCHAR(255) NOT NULL,
+        summary JSONB NOT NULL DEFAULT '{}',
+        merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_tenant_merges_target ON tenant_merges (target_company_id, merged_at DESC)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS tenant_merges`);
+    await client.query(`ALTER TABLE whop_companies DROP COLUMN IF EXISTS merged_into`);
+  }
+};
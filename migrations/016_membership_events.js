@@ -0,0 +1,56 @@
+// Append-only history of joins, leaves and rejoins from webhooks and syncs. Existing members get a
+// 'backfill' join (and a leave for inactive ones) so tenure can be derived for everyone.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS membership_events (
+        id BIGSERIAL PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('joined', 'rejoined', 'renewed', 'left')),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('webhook', 'sync', 'backfill')),
+        payload JSONB,
+        occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_membership_events_member
+      ON membership_events (company_id, user_id, occurred_at, id)
+    `);
+
+    // Events are never edited or deleted. Only company_id may change, when tenants are merged.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION membership_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'membership_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query(`
+      CREATE TRIGGER membership_events_append_only
+      BEFORE UPDATE OF id, user_id, event_type, source, payload, occurred_at OR DELETE ON membership_events
+      FOR EACH ROW EXECUTE FUNCTION membership_events_append_only()
+    `);
+
+    await client.query(`
+      INSERT INTO membership_events (company_id, user_id, event_type, source, occurred_at)
+      SELECT company_id, user_id, 'joined', 'backfill', COALESCE(joined_at, updated_at, CURRENT_TIMESTAMP)
+      FROM whop_members
+    `);
+
+    await client.query(`
+      INSERT INTO membership_events (company_id, user_id, event_type, source, occurred_at)
+      SELECT company_id, user_id, 'left', 'backfill',
+             GREATEST(COALESCE(updated_at, CURRENT_TIMESTAMP), COALESCE(joined_at, updated_at, CURRENT_TIMESTAMP))
+      FROM whop_members
+      WHERE status <> 'active'
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS membership_events`);
+    await client.query(`DROP FUNCTION IF EXISTS membership_events_append_only()`);
+  }
+};
@@ -0,0 +1,66 @@
+// Webhooks are stored before they are processed. webhook_events is the queue and, through its unique
+// delivery_id, the idempotency record that replaces webhook_deliveries. Events that exhaust their
+// retries are copied to webhook_dead_letters for inspection and replay.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id BIGSERIAL PRIMARY KEY,
+        delivery_id VARCHAR(255) UNIQUE NOT NULL,
+        company_id VARCHAR(255) NOT NULL,
+        action VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'processed', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_due
+      ON webhook_events (next_attempt_at, id)
+      WHERE status IN ('pending', 'processing')
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+        id SERIAL PRIMARY KEY,
+        webhook_event_id BIGINT NOT NULL,
+        delivery_id VARCHAR(255) NOT NULL,
+        company_id VARCHAR(255) NOT NULL,
+        action VARCHAR(255) NOT NULL,
+        payload JSONB NOT NULL,
+        attempts INTEGER NOT NULL,
+        error TEXT,
+        failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        replayed_at TIMESTAMP,
+        replayed_by VARCHAR(255)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_company
+      ON webhook_dead_letters (company_id, failed_at DESC)
+    `);
+
+    await client.query(`DROP TABLE IF EXISTS webhook_deliveries`);
+  },
+
+  async down(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id VARCHAR(255) PRIMARY KEY,
+        company_id VARCHAR(255),
+        action VARCHAR(255),
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query(`DROP TABLE IF EXISTS webhook_dead_letters`);
+    await client.query(`DROP TABLE IF EXISTS webhook_events`);
+  }
+};
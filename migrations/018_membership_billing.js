@@ -0,0 +1,40 @@
+// Whop membership state from webhooks: the billing status (trialing, past_due, canceling, ...), plan
+// and renewal details, and the last payment. whop_members.status stays the directory's own
+// active/inactive flag. Companies record when the app was uninstalled.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE whop_members
+        ADD COLUMN IF NOT EXISTS membership_status VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS plan_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS product_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS renewal_period_end TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_payment_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_payment_status VARCHAR(20)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_whop_members_membership_id ON whop_members (company_id, membership_id)
+    `);
+
+    await client.query(`
+      ALTER TABLE whop_companies ADD COLUMN IF NOT EXISTS uninstalled_at TIMESTAMP
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE whop_companies DROP COLUMN IF EXISTS uninstalled_at`);
+    await client.query(`DROP INDEX IF EXISTS idx_whop_members_membership_id`);
+    await client.query(`
+      ALTER TABLE whop_members
+        DROP COLUMN IF EXISTS last_payment_status,
+        DROP COLUMN IF EXISTS last_payment_at,
+        DROP COLUMN IF EXISTS renewal_period_end,
+        DROP COLUMN IF EXISTS cancel_at_period_end,
+        DROP COLUMN IF EXISTS product_id,
+        DROP COLUMN IF EXISTS plan_id,
+        DROP COLUMN IF EXISTS membership_status
+    `);
+  }
+};
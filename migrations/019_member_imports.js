@@ -0,0 +1,29 @@
+// Bulk CSV imports of member profile data. Each applied import is kept with its column mapping,
+// counts and the rows that were rejected, so the error report can be downloaded later.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS member_imports (
+        id SERIAL PRIMARY KEY,
+        company_id VARCHAR(255) NOT NULL,
+        actor VARCHAR(255) NOT NULL,
+        filename VARCHAR(255),
+        columns JSONB NOT NULL DEFAULT '[]',
+        mapping JSONB NOT NULL DEFAULT '{}',
+        total_rows INTEGER NOT NULL,
+        applied_rows INTEGER NOT NULL,
+        error_rows INTEGER NOT NULL,
+        errors JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_member_imports_company ON member_imports (company_id, created_at DESC)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS member_imports`);
+  }
+};
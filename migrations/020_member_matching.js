@@ -0,0 +1,36 @@
+// Suggested connections. member_matches caches each member's ranked matches with the hash of
+// the profile they were computed from; member_embeddings keeps provider vectors per member so
+// only changed profiles are sent to an embedding model again.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS member_matches (
+        company_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        provider VARCHAR(100) NOT NULL,
+        document_hash VARCHAR(64) NOT NULL,
+        matches JSONB NOT NULL DEFAULT '[]',
+        computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, user_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS member_embeddings (
+        company_id VARCHAR(255) NOT NULL,
+        user_id VARCHAR(255) NOT NULL,
+        provider VARCHAR(100) NOT NULL,
+        model VARCHAR(255) NOT NULL,
+        document_hash VARCHAR(64) NOT NULL,
+        embedding JSONB NOT NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (company_id, user_id, provider, model)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS member_embeddings`);
+    await client.query(`DROP TABLE IF EXISTS member_matches`);
+  }
+};
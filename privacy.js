@@ -0,0 +1,10 @@
+// Field filtering shared by the directory's privacy rules and member matching
+// A copy of fields without keys; anything that isn't an object is returned as is
+function omitKeys(fields, keys) {
+  if (!fields || typeof fields !== 'object' || keys.length === 0) return fields;
+  const visible = { ...fields };
+  keys.forEach(key => delete visible[key]);
+  return visible;
+}
+
+module.exports = { omitKeys };
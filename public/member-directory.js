@@ -7,14 +7,35 @@ class MemberDirectory {
         this.sortField = 'joined_at';
         this.sortDirection = 'desc';
         this.loading = false;
+        this.loadingMore = false;
+        this.pageSize = 50;
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.totalMembers = 0;
+        this.totalMatching = 0;
+        this.activeMembers = 0;
+        this.newThisMonth = 0;
+        this.leftThisMonth = 0;
+        this.requestId = 0;
+        this.searchDebounce = null;
         this.currentCompanyId = null;
+        this.viewer = null;
+        this.adminMode = false;
+        this.editingUserId = null;
+        this.fields = [];
+        this.fieldFilters = {};
+        this.profileHasFields = false;
+        this.branding = null;
+        this.brandingCompanyId = null;
+        this.matchesCompanyId = null;
+        this.importFile = null;
+        this.defaultIconHtml = null;
         this.error = null;
         this.init();
     }
 
     async init() {
         try {
-            console.log('🚀 Initializing Multi-Tenant Member Directory...');
             this.createModernUI();
             await this.loadMembers();
             this.setupEventListeners();
@@ -35,7 +56,6 @@ class MemberDirectory {
         const urlParams = new URLSearchParams(window.location.search);
         const urlCompany = urlParams.get('company');
         if (urlCompany) {
-            console.log(`🏢 Company ID from URL: ${urlCompany}`);
             this.storeCompanyId(urlCompany);
             return urlCompany;
         }
@@ -44,7 +64,6 @@ class MemberDirectory {
         const pathMatch = window.location.pathname.match(/\/company\/([^\/]+)/);
         if (pathMatch) {
             const pathCompany = pathMatch[1];
-            console.log(`🏢 Company ID from path: ${pathCompany}`);
             this.storeCompanyId(pathCompany);
             return pathCompany;
         }
@@ -53,7 +72,6 @@ class MemberDirectory {
         const whopMatch = window.location.pathname.match(/\/(biz_[^\/]+)/);
         if (whopMatch) {
             const whopCompany = whopMatch[1];
-            console.log(`🏢 Company ID from Whop pattern: ${whopCompany}`);
             this.storeCompanyId(whopCompany);
             return whopCompany;
         }
@@ -61,20 +79,29 @@ class MemberDirectory {
         // Fall back to last known company
         const lastCompany = this.getStoredCompanyId();
         if (lastCompany) {
-            console.log(`🏢 Using last known company: ${lastCompany}`);
             return lastCompany;
         }
 
-        console.log('🏢 No company ID detected, will auto-detect');
         return 'auto';
     }
 
+    // Whop experience views load /experiences/exp_...; those show only that experience's members
+    detectExperienceId() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('experience_id')) {
+            return urlParams.get('experience_id');
+        }
+
+        const pathMatch = window.location.pathname.match(/\/experiences\/(exp_[a-zA-Z0-9]+)/);
+        return pathMatch ? pathMatch[1] : null;
+    }
+
     storeCompanyId(companyId) {
         try {
             localStorage.setItem('whop_last_company_id', companyId);
             localStorage.setItem('whop_company_timestamp', Date.now().toString());
         } catch (e) {
-            console.warn('Could not store company ID in localStorage:', e);
+            console.error('Could not store company ID in localStorage:', e);
         }
     }
 
@@ -93,7 +120,7 @@ class MemberDirectory {
                 }
             }
         } catch (e) {
-            console.warn('Could not retrieve company ID from localStorage:', e);
+            console.error('Could not retrieve company ID from localStorage:', e);
         }
         return null;
     }
@@ -101,7 +128,6 @@ class MemberDirectory {
     createModernUI() {
         // Only create UI if we're not already initialized
         if (document.getElementById('membersTable')) {
-            console.log('UI already exists, skipping creation');
             return;
         }
 
@@ -111,18 +137,71 @@ class MemberDirectory {
                 <header class="app-header">
                     <div class="header-content">
                         <div class="header-left">
-                            <div class="app-icon">
+                            <div class="app-icon" id="appIcon">
                                 <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
                                     <rect x="3" y="4" width="18" height="16" rx="2" stroke="currentColor" stroke-width="2"/>
                                     <path d="M7 8h10M7 12h10M7 16h6" stroke="currentColor" stroke-width="2"/>
                                 </svg>
                             </div>
                             <div class="header-title">
-                                <h1>Member Directory</h1>
+                                <h1 id="appTitle">Member Directory</h1>
                                 <p id="companySubtitle">Connect with fellow community members</p>
                             </div>
                         </div>
                         <div class="header-actions">
+                            <button class="btn-secondary" id="profileBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <circle cx="12" cy="8" r="4" stroke="currentColor" stroke-width="2"/>
+                                    <path d="M4 21a8 8 0 0 1 16 0" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                My profile
+                            </button>
+                            <button class="btn-secondary" id="privacyBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <rect x="5" y="11" width="14" height="10" rx="2" stroke="currentColor" stroke-width="2"/>
+                                    <path d="M8 11V7a4 4 0 0 1 8 0v4" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                Privacy
+                            </button>
+                            <button class="btn-secondary admin-only" id="brandingBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <circle cx="12" cy="12" r="9" stroke="currentColor" stroke-width="2"/>
+                                    <circle cx="9" cy="10" r="1.5" fill="currentColor"/>
+                                    <circle cx="15" cy="10" r="1.5" fill="currentColor"/>
+                                    <circle cx="12" cy="15" r="1.5" fill="currentColor"/>
+                                </svg>
+                                Branding
+                            </button>
+                            <button class="btn-secondary admin-only" id="analyticsBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <path d="M4 20V10M10 20V4M16 20v-7M22 20H2" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                Analytics
+                            </button>
+                            <button class="btn-secondary admin-only" id="importBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <path d="M12 15V3M7 8l5-5 5 5M4 21h16" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                Import
+                            </button>
+                            <button class="btn-secondary admin-only" id="exportBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <path d="M12 3v12M7 10l5 5 5-5M4 21h16" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                Export
+                            </button>
+                            <button class="btn-secondary admin-only" id="fieldsBtn" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <path d="M4 6h16M4 12h16M4 18h10" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                Fields
+                            </button>
+                            <button class="btn-secondary" id="adminToggle" style="display: none;">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
+                                    <path d="M12 2l8 4v6c0 5-3.5 9-8 10-4.5-1-8-5-8-10V6l8-4z" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                                <span id="adminToggleLabel">Admin</span>
+                            </button>
                             <button class="btn-secondary" id="refreshBtn">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                                     <path d="M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8" stroke="currentColor" stroke-width="2"/>
@@ -176,7 +255,33 @@ class MemberDirectory {
                                 <div class="stat-label">Active Members</div>
                             </div>
                         </div>
+
+                        <div class="stat-card">
+                            <div class="stat-icon stat-icon-danger">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none">
+                                    <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2" stroke="currentColor" stroke-width="2"/>
+                                    <circle cx="9" cy="7" r="4" stroke="currentColor" stroke-width="2"/>
+                                    <path d="M17 11h6" stroke="currentColor" stroke-width="2"/>
+                                </svg>
+                            </div>
+                            <div class="stat-content">
+                                <div class="stat-value" id="leftThisMonth">0</div>
+                                <div class="stat-label">Left This Month</div>
+                            </div>
+                        </div>
+                    </div>
+                </section>
+
+                <!-- Suggested connections -->
+                <section class="matches-section" id="matchesSection" style="display: none;">
+                    <div class="matches-header">
+                        <div>
+                            <h2>People you should meet</h2>
+                            <p class="matches-subtitle">Members whose skills, goals and answers overlap with yours</p>
+                        </div>
+                        <button class="btn-secondary" id="matchesRefreshBtn">Refresh</button>
                     </div>
+                    <div class="matches-grid" id="matchesGrid"></div>
                 </section>
 
                 <!-- Controls -->
@@ -196,6 +301,7 @@ class MemberDirectory {
                         </div>
                         
                         <div class="filter-controls">
+                            <div id="fieldFilters" class="field-filters"></div>
                             <select id="sortSelect" class="select-input">
                                 <option value="joined_at_desc">Newest First</option>
                                 <option value="joined_at_asc">Oldest First</option>
@@ -219,7 +325,7 @@ class MemberDirectory {
                         <div class="table-wrapper">
                             <table class="members-table" id="membersTable">
                                 <thead>
-                                    <tr>
+                                    <tr id="membersHeaderRow">
                                         <th class="col-member">
                                             <button class="th-button" data-sort="name">
                                                 Member
@@ -229,18 +335,23 @@ class MemberDirectory {
                                             </button>
                                         </th>
                                         <th class="col-custom-fields">
-                                            <button class="th-button">
+                                            <button class="th-button" id="customFieldsHeader">
                                                 Custom Fields
                                             </button>
                                         </th>
                                         <th class="col-joined">
                                             <button class="th-button" data-sort="joined_at">
-                                                Joined
+                                                Member Since
                                                 <svg class="sort-icon" width="14" height="14" viewBox="0 0 24 24" fill="none">
                                                     <path d="M8 9l4-4 4 4M16 15l-4 4-4-4" stroke="currentColor" stroke-width="2"/>
                                                 </svg>
                                             </button>
                                         </th>
+                                        <th class="col-actions admin-only" style="display: none;">
+                                            <button class="th-button">
+                                                Actions
+                                            </button>
+                                        </th>
                                     </tr>
                                 </thead>
                                 <tbody id="membersTableBody">
@@ -262,14 +373,217 @@ class MemberDirectory {
                                         <path d="M8 14s1.5 2 4 2 4-2 4-2M9 9h.01M15 9h.01" stroke="currentColor" stroke-width="2"/>
                                     </svg>
                                 </div>
-                                <h3>No members found</h3>
-                                <p>Try adjusting your search or filters</p>
+                                <h3 id="emptyStateTitle">No members found</h3>
+                                <p id="emptyStateText">Try adjusting your search or filters</p>
+                            </div>
+
+                            <!-- Infinite scroll sentinel -->
+                            <div id="loadMoreSentinel" class="load-more" style="display: none;">
+                                <div class="loading-spinner"></div>
                             </div>
                         </div>
                     </div>
                 </section>
             </div>
 
+            <!-- Admin: edit member -->
+            <div id="adminModal" class="modal-backdrop" style="display: none;">
+                <form id="adminEditForm" class="modal">
+                    <h3>Edit member</h3>
+                    <label class="form-label" for="adminDisplayName">Display name</label>
+                    <input type="text" id="adminDisplayName" class="search-input form-input" maxlength="255" placeholder="Leave empty to use their Whop name" />
+                    <div id="adminSchemaFields" class="schema-fields"></div>
+                    <label class="form-label" for="adminCustomFields" id="adminCustomFieldsLabel">Custom fields (JSON)</label>
+                    <textarea id="adminCustomFields" class="search-input form-input form-textarea" rows="8"></textarea>
+                    <div id="adminFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="adminCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Admin: branding -->
+            <div id="brandingModal" class="modal-backdrop" style="display: none;">
+                <form id="brandingForm" class="modal">
+                    <h3>Branding</h3>
+                    <label class="form-label" for="brandingDisplayName">Display name</label>
+                    <input type="text" id="brandingDisplayName" class="search-input form-input" maxlength="255" />
+                    <label class="form-label" for="brandingHeaderText">Header text</label>
+                    <input type="text" id="brandingHeaderText" class="search-input form-input" maxlength="255" />
+                    <label class="form-label" for="brandingLogoUrl">Logo URL</label>
+                    <input type="url" id="brandingLogoUrl" class="search-input form-input" maxlength="500" placeholder="https://" />
+                    <div class="branding-colors">
+                        <div class="schema-fields">
+                            <label class="form-label" for="brandingAccent">Accent</label>
+                            <input type="color" id="brandingAccent" class="search-input color-input" />
+                        </div>
+                        <div class="schema-fields">
+                            <label class="form-label" for="brandingAccentSecondary">Secondary</label>
+                            <input type="color" id="brandingAccentSecondary" class="search-input color-input" />
+                        </div>
+                        <div class="schema-fields">
+                            <label class="form-label" for="brandingThemeMode">Mode</label>
+                            <select id="brandingThemeMode" class="select-input">
+                                <option value="dark">Dark</option>
+                                <option value="light">Light</option>
+                            </select>
+                        </div>
+                    </div>
+                    <label class="form-label" for="brandingEmptyTitle">Empty state title</label>
+                    <input type="text" id="brandingEmptyTitle" class="search-input form-input" maxlength="120" />
+                    <label class="form-label" for="brandingEmptyText">Empty state text</label>
+                    <textarea id="brandingEmptyText" class="search-input form-input" rows="2" maxlength="500"></textarea>
+                    <div id="brandingFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="brandingCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Admin: custom field schema -->
+            <div id="fieldsModal" class="modal-backdrop" style="display: none;">
+                <form id="fieldsForm" class="modal">
+                    <h3>Profile fields</h3>
+                    <p class="form-hint">
+                        A list of fields, each with <code>key</code>, <code>label</code>, <code>type</code>
+                        (text, select, multi_select, url, number, date), <code>options</code> for select types,
+                        <code>required</code>, <code>display_order</code> and <code>visibility</code> (members or admins).
+                    </p>
+                    <textarea id="fieldsSchema" class="search-input form-input form-textarea" rows="14"></textarea>
+                    <div id="fieldsFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="fieldsCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Admin: analytics -->
+            <div id="analyticsModal" class="modal-backdrop" style="display: none;">
+                <form id="analyticsForm" class="modal modal-wide">
+                    <h3>Analytics</h3>
+                    <div class="analytics-range">
+                        <div class="schema-fields">
+                            <label class="form-label" for="analyticsFrom">From</label>
+                            <input type="date" id="analyticsFrom" class="search-input form-input" />
+                        </div>
+                        <div class="schema-fields">
+                            <label class="form-label" for="analyticsTo">To</label>
+                            <input type="date" id="analyticsTo" class="search-input form-input" />
+                        </div>
+                        <button type="submit" class="btn-secondary btn-primary">Apply</button>
+                    </div>
+                    <div id="analyticsFormError" class="form-error"></div>
+                    <div id="analyticsSummary" class="analytics-summary"></div>
+                    <span class="form-label">Joins and leaves per day</span>
+                    <div id="analyticsDailyChart" class="analytics-chart"></div>
+                    <span class="form-label">Active members</span>
+                    <div id="analyticsActiveChart" class="analytics-chart"></div>
+                    <span class="form-label">Monthly retention by first join</span>
+                    <div id="analyticsCohorts" class="analytics-cohorts"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="analyticsClose">Close</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Admin: import -->
+            <div id="importModal" class="modal-backdrop" style="display: none;">
+                <form id="importForm" class="modal modal-wide">
+                    <h3>Import profile data</h3>
+                    <p class="form-hint">
+                        Upload a CSV with a header row. Map a user ID, username or email column to find each
+                        member, and the other columns to profile fields. Empty cells leave a member's value as it is.
+                    </p>
+                    <input type="file" id="importFile" class="search-input form-input" accept=".csv,text/csv" />
+                    <div id="importMapping" class="import-mapping"></div>
+                    <div id="importSummary" class="form-hint"></div>
+                    <div id="importErrors" class="import-errors"></div>
+                    <div id="importFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="importCancel">Close</button>
+                        <button type="button" class="btn-secondary" id="importPreview" disabled>Preview</button>
+                        <button type="submit" class="btn-secondary btn-primary" id="importApply" disabled>Import</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Admin: export -->
+            <div id="exportModal" class="modal-backdrop" style="display: none;">
+                <form id="exportForm" class="modal">
+                    <h3>Export members</h3>
+                    <p class="form-hint">
+                        Exports the members matching the current search, filters and sort. Members who
+                        opted out of the directory are left out, and emails and fields they hid stay blank.
+                    </p>
+                    <label class="form-label" for="exportFormat">Format</label>
+                    <select id="exportFormat" class="select-input">
+                        <option value="csv">CSV (spreadsheet)</option>
+                        <option value="jsonl">JSON Lines</option>
+                        <option value="vcf">vCard (contacts)</option>
+                        <option value="html">Printable roster</option>
+                    </select>
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="exportIncludeHidden" />
+                        Include members hidden by an admin
+                    </label>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="exportCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Export</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Member: edit own profile -->
+            <div id="profileModal" class="modal-backdrop" style="display: none;">
+                <form id="profileForm" class="modal">
+                    <h3>My profile</h3>
+                    <label class="form-label" for="profileHeadline">Headline</label>
+                    <input type="text" id="profileHeadline" class="search-input form-input" maxlength="120" placeholder="What you do in one line" />
+                    <label class="form-label" for="profileBio">Bio</label>
+                    <textarea id="profileBio" class="search-input form-input form-textarea" rows="4" maxlength="2000"></textarea>
+                    <label class="form-label" for="profileSkills">Skills (comma separated)</label>
+                    <input type="text" id="profileSkills" class="search-input form-input" placeholder="Design, Copywriting, Ads" />
+                    <label class="form-label" for="profileLocation">Location</label>
+                    <input type="text" id="profileLocation" class="search-input form-input" maxlength="120" />
+                    <label class="form-label" for="profileWebsite">Website</label>
+                    <input type="url" id="profileWebsite" class="search-input form-input" maxlength="500" placeholder="https://" />
+                    <span class="form-label">Social links</span>
+                    <div id="profileSocialLinks" class="privacy-fields"></div>
+                    <div id="profileCustomFields" class="schema-fields"></div>
+                    <div id="profileFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="profileCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+
+            <!-- Member: own privacy settings -->
+            <div id="privacyModal" class="modal-backdrop" style="display: none;">
+                <form id="privacyForm" class="modal">
+                    <h3>Privacy settings</h3>
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="privacyOptOut" />
+                        Don't list me in the directory
+                    </label>
+                    <label class="form-checkbox">
+                        <input type="checkbox" id="privacyHideEmail" />
+                        Hide my email address
+                    </label>
+                    <span class="form-label">Hide these fields</span>
+                    <div id="privacyFields" class="privacy-fields"></div>
+                    <p class="form-hint">Community admins can always see your full profile.</p>
+                    <div id="privacyFormError" class="form-error"></div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn-secondary" id="privacyCancel">Cancel</button>
+                        <button type="submit" class="btn-secondary btn-primary">Save</button>
+                    </div>
+                </form>
+            </div>
+
             ${this.getStyles()}
         `;
     }
@@ -277,6 +591,12 @@ class MemberDirectory {
     getStyles() {
         return `
             <style>
+                /* Brand colors, overridden per company by applyBranding() */
+                :root {
+                    --accent: #3b82f6;
+                    --accent-secondary: #8b5cf6;
+                }
+
                 /* Modern CSS Reset and Base Styles */
                 * {
                     margin: 0;
@@ -325,7 +645,7 @@ class MemberDirectory {
                 .app-icon {
                     width: 48px;
                     height: 48px;
-                    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+                    background: linear-gradient(135deg, var(--accent), var(--accent-secondary));
                     border-radius: 12px;
                     display: flex;
                     align-items: center;
@@ -370,6 +690,21 @@ class MemberDirectory {
                     transform: translateY(-1px);
                 }
 
+                .btn-primary {
+                    background: var(--accent);
+                    border-color: var(--accent);
+                }
+
+                .btn-primary:hover {
+                    background: color-mix(in srgb, var(--accent) 85%, black);
+                    border-color: color-mix(in srgb, var(--accent) 85%, black);
+                }
+
+                .btn-active {
+                    border-color: var(--accent);
+                    color: color-mix(in srgb, var(--accent) 60%, white);
+                }
+
                 /* Stats Section */
                 .stats-section {
                     max-width: 1200px;
@@ -413,7 +748,7 @@ class MemberDirectory {
                 }
 
                 .stat-icon-primary {
-                    background: linear-gradient(135deg, #3b82f6, #1d4ed8);
+                    background: linear-gradient(135deg, var(--accent), color-mix(in srgb, var(--accent) 70%, black));
                     color: white;
                 }
 
@@ -427,6 +762,11 @@ class MemberDirectory {
                     color: white;
                 }
 
+                .stat-icon-danger {
+                    background: linear-gradient(135deg, #ef4444, #dc2626);
+                    color: white;
+                }
+
                 .stat-value {
                     font-size: 32px;
                     font-weight: 700;
@@ -441,6 +781,69 @@ class MemberDirectory {
                 }
 
                 /* Controls Section */
+                .matches-section {
+                    max-width: 1200px;
+                    margin: 0 auto;
+                    padding: 0 24px 24px;
+                }
+
+                .matches-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 16px;
+                    margin-bottom: 16px;
+                }
+
+                .matches-header h2 {
+                    font-size: 18px;
+                    font-weight: 600;
+                }
+
+                .matches-subtitle {
+                    font-size: 13px;
+                    color: #a1a1aa;
+                    margin-top: 2px;
+                }
+
+                .matches-grid {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fill, minmax(260px, 1fr));
+                    gap: 16px;
+                }
+
+                .match-card {
+                    background: rgba(39, 39, 42, 0.5);
+                    border: 1px solid rgba(255, 255, 255, 0.08);
+                    border-radius: 16px;
+                    padding: 16px;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 12px;
+                }
+
+                .match-card .member-cell {
+                    align-items: flex-start;
+                }
+
+                .match-reasons {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 4px;
+                    font-size: 13px;
+                    color: #d4d4d8;
+                }
+
+                .match-reason-label {
+                    color: color-mix(in srgb, var(--accent) 70%, white);
+                    font-weight: 500;
+                }
+
+                .matches-empty {
+                    font-size: 14px;
+                    color: #a1a1aa;
+                }
+
                 .controls-section {
                     max-width: 1200px;
                     margin: 0 auto;
@@ -482,9 +885,9 @@ class MemberDirectory {
 
                 .search-input:focus {
                     outline: none;
-                    border-color: #3b82f6;
+                    border-color: var(--accent);
                     background: rgba(39, 39, 42, 0.8);
-                    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+                    box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent) 10%, transparent);
                 }
 
                 .search-input::placeholder {
@@ -504,8 +907,8 @@ class MemberDirectory {
 
                 .select-input:focus {
                     outline: none;
-                    border-color: #3b82f6;
-                    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
+                    border-color: var(--accent);
+                    box-shadow: 0 0 0 3px color-mix(in srgb, var(--accent) 10%, transparent);
                 }
 
                 /* Table Section */
@@ -617,7 +1020,7 @@ class MemberDirectory {
                     width: 44px;
                     height: 44px;
                     border-radius: 12px;
-                    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+                    background: linear-gradient(135deg, var(--accent), var(--accent-secondary));
                     display: flex;
                     align-items: center;
                     justify-content: center;
@@ -643,7 +1046,7 @@ class MemberDirectory {
                 }
 
                 .member-username {
-                    color: #3b82f6;
+                    color: var(--accent);
                     font-weight: 500;
                 }
 
@@ -655,6 +1058,52 @@ class MemberDirectory {
                     white-space: nowrap;
                 }
 
+                .member-headline {
+                    font-size: 14px;
+                    color: #d4d4d8;
+                    margin-top: 2px;
+                }
+
+                .member-meta {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 6px;
+                    margin-top: 6px;
+                    font-size: 12px;
+                    color: #a1a1aa;
+                }
+
+                .member-skill {
+                    background: rgba(255, 255, 255, 0.06);
+                    border-radius: 999px;
+                    padding: 2px 8px;
+                }
+
+                .member-link {
+                    color: var(--accent);
+                    text-decoration: none;
+                }
+
+                .member-link:hover {
+                    text-decoration: underline;
+                }
+
+                .search-snippet {
+                    font-size: 13px;
+                    color: #a1a1aa;
+                    margin-top: 4px;
+                    white-space: normal;
+                }
+
+                /* Snippets arrive pre-escaped from the server with <mark> highlights */
+                .search-snippet mark {
+                    background: color-mix(in srgb, var(--accent) 25%, transparent);
+                    color: #ffffff;
+                    border-radius: 3px;
+                    padding: 0 2px;
+                }
+
                 /* Custom Fields */
                 .custom-fields {
                     max-width: 300px;
@@ -697,6 +1146,22 @@ class MemberDirectory {
                     color: #fbbf24;
                 }
 
+                .field-filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px;
+                }
+
+                .schema-fields {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+
+                .field-required {
+                    color: #ef4444;
+                }
+
                 .no-fields {
                     color: #71717a;
                     font-style: italic;
@@ -726,7 +1191,7 @@ class MemberDirectory {
                     height: 32px;
                     border: 3px solid rgba(255, 255, 255, 0.1);
                     border-radius: 50%;
-                    border-top-color: #3b82f6;
+                    border-top-color: var(--accent);
                     animation: spin 1s ease-in-out infinite;
                     margin-bottom: 16px;
                 }
@@ -735,6 +1200,16 @@ class MemberDirectory {
                     to { transform: rotate(360deg); }
                 }
 
+                .load-more {
+                    display: flex;
+                    justify-content: center;
+                    padding: 24px;
+                }
+
+                .load-more .loading-spinner {
+                    margin-bottom: 0;
+                }
+
                 .empty-icon {
                     margin-bottom: 16px;
                     color: #71717a;
@@ -751,80 +1226,509 @@ class MemberDirectory {
                     font-size: 14px;
                 }
 
-                /* Column Widths */
-                .col-member { width: 35%; }
-                .col-custom-fields { width: 45%; }
-                .col-joined { width: 20%; }
+                /* Admin Console */
+                .member-badge {
+                    font-size: 11px;
+                    font-weight: 600;
+                    padding: 2px 8px;
+                    border-radius: 999px;
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                }
 
-                /* Responsive Design */
-                @media (max-width: 768px) {
-                    .header-content {
-                        flex-direction: column;
-                        gap: 16px;
-                        align-items: stretch;
-                    }
+                .badge-featured {
+                    background: rgba(245, 158, 11, 0.15);
+                    color: #fbbf24;
+                }
 
-                    .stats-grid {
-                        grid-template-columns: 1fr;
-                    }
+                .badge-hidden {
+                    background: rgba(113, 113, 122, 0.2);
+                    color: #a1a1aa;
+                }
 
-                    .controls-bar {
-                        flex-direction: column;
-                        align-items: stretch;
-                    }
+                .badge-trialing {
+                    background: rgba(59, 130, 246, 0.15);
+                    color: #60a5fa;
+                }
 
-                    .search-container {
-                        min-width: auto;
-                    }
+                .badge-past-due {
+                    background: rgba(239, 68, 68, 0.15);
+                    color: #f87171;
+                }
 
-                    .table-container {
-                        border-radius: 12px;
-                        margin: 0 8px;
-                    }
+                .badge-canceling {
+                    background: rgba(245, 158, 11, 0.15);
+                    color: #fbbf24;
+                }
 
-                    .members-table {
-                        font-size: 14px;
-                    }
+                .badge-rejoined {
+                    background: color-mix(in srgb, var(--accent) 15%, transparent);
+                    color: var(--accent);
+                }
 
-                    .members-table td {
-                        padding: 16px;
-                    }
+                .membership-meta {
+                    display: flex;
+                    justify-content: flex-end;
+                    align-items: center;
+                    gap: 6px;
+                    margin-top: 4px;
+                    font-size: 12px;
+                    color: #71717a;
+                }
 
-                    .member-cell {
-                        flex-direction: column;
-                        align-items: flex-start;
-                        gap: 8px;
-                    }
+                .members-table tr.row-hidden td {
+                    opacity: 0.55;
+                }
 
-                    .custom-fields {
-                        max-width: none;
-                    }
+                .admin-actions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                }
 
-                    .col-member, .col-custom-fields, .col-joined { 
-                        width: auto; 
-                    }
+                .admin-actions .btn-secondary {
+                    padding: 6px 10px;
+                    font-size: 12px;
                 }
-            </style>
-        `;
-    }
 
-    setupEventListeners() {
-        // Search functionality
-        const searchInput = document.getElementById('searchInput');
-        searchInput?.addEventListener('input', (e) => {
-            this.searchTerm = e.target.value.toLowerCase();
-            this.filterAndRenderMembers();
-        });
+                .modal-backdrop {
+                    position: fixed;
+                    inset: 0;
+                    background: rgba(0, 0, 0, 0.6);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    z-index: 200;
+                }
+
+                .modal {
+                    background: #18181b;
+                    border: 1px solid rgba(255, 255, 255, 0.12);
+                    border-radius: 16px;
+                    padding: 24px;
+                    width: min(520px, 92vw);
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+
+                .modal h3 {
+                    font-size: 18px;
+                    margin-bottom: 8px;
+                }
+
+                .form-label {
+                    font-size: 12px;
+                    color: #a1a1aa;
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                }
+
+                .form-input {
+                    padding-left: 14px;
+                }
+
+                .form-textarea {
+                    font-family: 'SFMono-Regular', Menlo, monospace;
+                    resize: vertical;
+                }
+
+                .form-error {
+                    color: #ef4444;
+                    font-size: 13px;
+                    min-height: 18px;
+                }
+
+                .form-checkbox {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 14px;
+                    cursor: pointer;
+                }
+
+                .privacy-fields {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                    max-height: 220px;
+                    overflow-y: auto;
+                }
+
+                .form-hint {
+                    color: #71717a;
+                    font-size: 12px;
+                }
+
+                .modal-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 8px;
+                }
+
+                .branding-colors {
+                    display: flex;
+                    gap: 16px;
+                }
+
+                .import-mapping table,
+                .import-errors table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 13px;
+                }
+
+                .import-mapping th,
+                .import-mapping td,
+                .import-errors td {
+                    text-align: left;
+                    padding: 6px 8px;
+                    border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+                    vertical-align: top;
+                }
+
+                .import-samples {
+                    color: #71717a;
+                    font-size: 12px;
+                }
+
+                .import-errors {
+                    max-height: 200px;
+                    overflow-y: auto;
+                }
+
+                .modal-wide {
+                    width: min(860px, 94vw);
+                    max-height: 90vh;
+                    overflow-y: auto;
+                }
+
+                .analytics-range {
+                    display: flex;
+                    align-items: flex-end;
+                    gap: 12px;
+                }
+
+                .analytics-summary {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
+                    gap: 8px;
+                    margin-bottom: 8px;
+                }
+
+                .analytics-metric {
+                    border: 1px solid rgba(255, 255, 255, 0.08);
+                    border-radius: 10px;
+                    padding: 10px 12px;
+                }
+
+                .analytics-metric strong {
+                    display: block;
+                    font-size: 20px;
+                }
+
+                .analytics-metric span {
+                    font-size: 12px;
+                    color: #a1a1aa;
+                }
+
+                .analytics-chart svg {
+                    width: 100%;
+                    height: auto;
+                    display: block;
+                    margin-bottom: 8px;
+                }
+
+                .analytics-chart text {
+                    fill: #a1a1aa;
+                    font-size: 10px;
+                }
+
+                .chart-axis {
+                    stroke: rgba(161, 161, 170, 0.4);
+                }
+
+                .chart-joins {
+                    fill: var(--accent);
+                }
+
+                .chart-leaves {
+                    fill: #ef4444;
+                }
+
+                .chart-line {
+                    fill: none;
+                    stroke: var(--accent-secondary);
+                    stroke-width: 2;
+                }
+
+                .analytics-cohorts {
+                    overflow-x: auto;
+                }
+
+                .cohort-table {
+                    border-collapse: collapse;
+                    font-size: 12px;
+                    width: 100%;
+                }
+
+                .cohort-table th,
+                .cohort-table td {
+                    padding: 6px 8px;
+                    text-align: center;
+                    white-space: nowrap;
+                }
+
+                .cohort-table td.cohort-cell {
+                    background: color-mix(in srgb, var(--accent) calc(var(--rate) * 100%), transparent);
+                }
+
+                .color-input {
+                    width: 64px;
+                    height: 36px;
+                    padding: 2px;
+                    cursor: pointer;
+                }
+
+                .app-logo {
+                    width: 100%;
+                    height: 100%;
+                    object-fit: cover;
+                    border-radius: 12px;
+                }
+
+                /* Light mode, chosen per company in branding settings */
+                body.theme-light {
+                    background: #f4f4f5;
+                    color: #18181b;
+                }
+
+                .theme-light .app-container {
+                    background: linear-gradient(180deg, #fafafa 0%, #f4f4f5 100%);
+                }
+
+                .theme-light .app-header {
+                    background: rgba(255, 255, 255, 0.85);
+                    border-bottom-color: rgba(0, 0, 0, 0.08);
+                }
+
+                .theme-light .header-title h1 {
+                    background: linear-gradient(135deg, #18181b, #52525b);
+                    -webkit-background-clip: text;
+                    background-clip: text;
+                }
+
+                .theme-light .btn-secondary,
+                .theme-light .search-input,
+                .theme-light .select-input,
+                .theme-light .stat-card,
+                .theme-light .match-card,
+                .theme-light .table-container,
+                .theme-light .modal {
+                    background: #ffffff;
+                    border-color: rgba(0, 0, 0, 0.1);
+                    color: #18181b;
+                }
+
+                .theme-light .btn-secondary:hover,
+                .theme-light .stat-card:hover {
+                    background: #f4f4f5;
+                }
+
+                .theme-light .btn-primary {
+                    background: var(--accent);
+                    border-color: var(--accent);
+                    color: #ffffff;
+                }
+
+                .theme-light .members-table thead {
+                    background: #fafafa;
+                }
+
+                .theme-light .members-table tbody tr:hover,
+                .theme-light .member-skill {
+                    background: rgba(0, 0, 0, 0.04);
+                }
+
+                .theme-light .stat-value,
+                .theme-light .table-header h2,
+                .theme-light .member-name,
+                .theme-light .field-value,
+                .theme-light .empty-state h3,
+                .theme-light .th-button:hover,
+                .theme-light .search-snippet mark {
+                    color: #18181b;
+                }
+
+                .theme-light .member-headline,
+                .theme-light .match-reasons {
+                    color: #3f3f46;
+                }
+
+                .theme-light .match-reason-label {
+                    color: color-mix(in srgb, var(--accent) 80%, black);
+                }
+
+                /* Column Widths */
+                .col-member { width: 35%; }
+                .col-custom-fields { width: 45%; }
+                .col-joined { width: 20%; }
+                .col-actions { width: 220px; }
+
+                /* Responsive Design */
+                @media (max-width: 768px) {
+                    .header-content {
+                        flex-direction: column;
+                        gap: 16px;
+                        align-items: stretch;
+                    }
+
+                    .stats-grid {
+                        grid-template-columns: 1fr;
+                    }
+
+                    .controls-bar {
+                        flex-direction: column;
+                        align-items: stretch;
+                    }
+
+                    .search-container {
+                        min-width: auto;
+                    }
+
+                    .table-container {
+                        border-radius: 12px;
+                        margin: 0 8px;
+                    }
+
+                    .members-table {
+                        font-size: 14px;
+                    }
+
+                    .members-table td {
+                        padding: 16px;
+                    }
+
+                    .member-cell {
+                        flex-direction: column;
+                        align-items: flex-start;
+                        gap: 8px;
+                    }
+
+                    .custom-fields {
+                        max-width: none;
+                    }
+
+                    .col-member, .col-custom-fields, .col-joined { 
+                        width: auto; 
+                    }
+                }
+            </style>
+        `;
+    }
+
+    setupEventListeners() {
+        // Search functionality
+        const searchInput = document.getElementById('searchInput');
+        searchInput?.addEventListener('input', (e) => {
+            this.searchTerm = e.target.value.trim();
+            // Search runs on the server, so wait for the user to pause typing
+            clearTimeout(this.searchDebounce);
+            this.searchDebounce = setTimeout(() => this.filterAndRenderMembers(), 300);
+        });
 
         // Sort functionality
         const sortSelect = document.getElementById('sortSelect');
         sortSelect?.addEventListener('change', (e) => {
-            const [field, direction] = e.target.value.split('_');
-            this.sortField = field;
-            this.sortDirection = direction;
+            const value = e.target.value;
+            const splitAt = value.lastIndexOf('_');
+            this.sortField = value.slice(0, splitAt);
+            this.sortDirection = value.slice(splitAt + 1);
+            this.filterAndRenderMembers();
+        });
+
+        // Admin console
+        document.getElementById('adminToggle')?.addEventListener('click', () => {
+            this.setAdminMode(!this.adminMode);
+        });
+
+        document.getElementById('membersTableBody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-admin-action]');
+            if (button) {
+                this.handleAdminAction(button.dataset.adminAction, button.dataset.userId);
+            }
+        });
+
+        document.getElementById('adminCancel')?.addEventListener('click', () => this.closeEditModal());
+
+        // Custom field filters and schema
+        document.getElementById('fieldFilters')?.addEventListener('change', (e) => {
+            const key = e.target.dataset.fieldFilter;
+            if (!key) return;
+            if (e.target.value) {
+                this.fieldFilters[key] = e.target.value;
+            } else {
+                delete this.fieldFilters[key];
+            }
             this.filterAndRenderMembers();
         });
 
+        document.getElementById('fieldsBtn')?.addEventListener('click', () => this.openFieldsModal());
+        document.getElementById('importBtn')?.addEventListener('click', () => this.openImportModal());
+        document.getElementById('importCancel')?.addEventListener('click', () => this.closeImportModal());
+        document.getElementById('importFile')?.addEventListener('change', (e) => this.selectImportFile(e.target.files[0]));
+        document.getElementById('importPreview')?.addEventListener('click', () => this.runImport(true));
+        document.getElementById('importForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runImport(false);
+        });
+        document.getElementById('exportBtn')?.addEventListener('click', () => this.openExportModal());
+        document.getElementById('exportCancel')?.addEventListener('click', () => this.closeExportModal());
+        document.getElementById('exportForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.downloadExport();
+        });
+        document.getElementById('analyticsBtn')?.addEventListener('click', () => this.openAnalyticsModal());
+        document.getElementById('analyticsClose')?.addEventListener('click', () => this.closeAnalyticsModal());
+        document.getElementById('analyticsForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadAnalytics();
+        });
+        document.getElementById('brandingBtn')?.addEventListener('click', () => this.openBrandingModal());
+        document.getElementById('brandingCancel')?.addEventListener('click', () => this.closeBrandingModal());
+        document.getElementById('brandingForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveBrandingModal();
+        });
+        document.getElementById('fieldsCancel')?.addEventListener('click', () => this.closeFieldsModal());
+        document.getElementById('fieldsForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFieldsModal();
+        });
+
+        // Member profile editing
+        document.getElementById('profileBtn')?.addEventListener('click', () => this.openProfileModal());
+        document.getElementById('profileCancel')?.addEventListener('click', () => this.closeProfileModal());
+        document.getElementById('profileForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfileModal();
+        });
+
+        // Member privacy settings
+        document.getElementById('privacyBtn')?.addEventListener('click', () => this.openPrivacyModal());
+        document.getElementById('privacyCancel')?.addEventListener('click', () => this.closePrivacyModal());
+        document.getElementById('privacyForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePrivacyModal();
+        });
+        document.getElementById('adminEditForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditModal();
+        });
+
+        // Suggested connections
+        document.getElementById('matchesRefreshBtn')?.addEventListener('click', () => this.loadMatches(true));
+
         // Refresh functionality
         const refreshBtn = document.getElementById('refreshBtn');
         refreshBtn?.addEventListener('click', () => {
@@ -845,6 +1749,54 @@ class MemberDirectory {
                 this.filterAndRenderMembers();
             });
         });
+
+        // Infinite scroll: fetch the next page when the sentinel comes into view
+        const sentinel = document.getElementById('loadMoreSentinel');
+        if (sentinel && 'IntersectionObserver' in window) {
+            this.scrollObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreMembers();
+                }
+            }, { rootMargin: '400px' });
+            this.scrollObserver.observe(sentinel);
+        }
+    }
+
+    buildMembersEndpoint(companyId, cursor) {
+        const experienceId = this.detectExperienceId();
+        const base = experienceId
+            ? `/api/experiences/${encodeURIComponent(experienceId)}/members`
+            : `/api/members/${encodeURIComponent(companyId)}`;
+
+        // Searches go to the ranked search endpoint, which pages by offset
+        if (this.searchTerm) {
+            const params = new URLSearchParams({
+                q: this.searchTerm,
+                limit: String(this.pageSize)
+            });
+            if (cursor) params.set('offset', cursor);
+            if (this.adminMode) params.set('include_hidden', 'true');
+            this.appendFieldFilters(params);
+
+            return `${base}/search?${params.toString()}`;
+        }
+
+        const params = new URLSearchParams({
+            sort: this.sortField,
+            direction: this.sortDirection,
+            limit: String(this.pageSize)
+        });
+        if (cursor) params.set('cursor', cursor);
+        if (this.adminMode) params.set('include_hidden', 'true');
+        this.appendFieldFilters(params);
+
+        return `${base}?${params.toString()}`;
+    }
+
+    appendFieldFilters(params) {
+        Object.entries(this.fieldFilters).forEach(([key, value]) => {
+            params.set(`filter[${key}]`, value);
+        });
     }
 
     updateSortSelect() {
@@ -855,18 +1807,16 @@ class MemberDirectory {
     }
 
     // 🔧 FIXED: Enhanced loadMembers with proper company detection
+    // Loads the first page for the current search/sort; later pages come from loadMoreMembers
     async loadMembers() {
         this.setLoading(true);
         this.error = null;
+        const requestId = ++this.requestId;
         
         try {
-            console.log('🔍 Loading members from API...');
-            
             // Detect company ID using enhanced method
             const detectedCompanyId = this.detectCompanyId();
-            const endpoint = `/api/members/${detectedCompanyId}`;
-            
-            console.log(`📡 Making request to: ${endpoint}`);
+            const endpoint = this.buildMembersEndpoint(detectedCompanyId);
             
             const response = await fetch(endpoint, {
                 method: 'GET',
@@ -879,9 +1829,6 @@ class MemberDirectory {
                 }
             });
             
-            console.log('📡 Response status:', response.status);
-            console.log('📡 Response headers:', response.headers.get('content-type'));
-            
             if (!response.ok) {
                 const errorText = await response.text();
                 let errorData;
@@ -909,17 +1856,29 @@ class MemberDirectory {
             }
             
             const data = await response.json();
-            console.log('✅ API Response:', data);
+
+            // A newer search or sort superseded this request
+            if (requestId !== this.requestId) return;
             
             if (data.success) {
                 this.members = data.members || [];
                 this.currentCompanyId = data.company_id;
-                console.log(`📊 Loaded ${this.members.length} members for company ${data.company_id}`);
+                // { user_id, access_level } as verified by the server from the Whop user token
+                this.viewer = data.viewer || null;
+                this.updateAdminControls();
+                this.applyPageMeta(data);
                 
                 // Update UI with company info
                 this.updateCompanyInfo(data.company_id);
+                if (this.brandingCompanyId !== data.company_id) {
+                    this.loadBranding();
+                }
+                if (this.viewer && this.matchesCompanyId !== data.company_id) {
+                    this.loadMatches();
+                }
                 
-                this.filterAndRenderMembers();
+                this.renderMembers();
+                this.updateMemberCount();
                 this.updateStats();
             } else {
                 this.error = data.error || 'Unknown error';
@@ -931,7 +1890,192 @@ class MemberDirectory {
             console.error('❌ Error loading members:', error);
             this.showError(`Error loading members: ${error.message}`);
         } finally {
-            this.setLoading(false);
+            if (requestId === this.requestId) {
+                this.setLoading(false);
+            }
+        }
+    }
+
+    async loadMoreMembers() {
+        if (this.loading || this.loadingMore || !this.hasMore || !this.nextCursor || !this.currentCompanyId) {
+            return;
+        }
+
+        this.loadingMore = true;
+        const requestId = this.requestId;
+
+        try {
+            const response = await fetch(this.buildMembersEndpoint(this.currentCompanyId, this.nextCursor), {
+                method: 'GET',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            const data = await response.json();
+
+            if (requestId !== this.requestId) return;
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            this.members = this.members.concat(data.members || []);
+            this.applyPageMeta(data);
+            this.renderMembers();
+            this.updateMemberCount();
+        } catch (error) {
+            console.error('❌ Error loading more members:', error);
+            this.hasMore = false;
+            this.updateLoadMoreSentinel();
+        } finally {
+            this.loadingMore = false;
+        }
+    }
+
+    applyPageMeta(data) {
+        const nextOffset = data.next_offset ?? null;
+        this.nextCursor = data.next_cursor || (nextOffset !== null ? String(nextOffset) : null);
+        this.hasMore = Boolean(data.has_more);
+        // Search responses don't carry directory-wide totals, so keep the last known ones
+        this.totalMembers = data.total ?? this.totalMembers;
+        this.totalMatching = data.total_matching ?? this.members.length;
+        this.activeMembers = data.active_members ?? this.activeMembers;
+        this.newThisMonth = data.new_this_month ?? this.newThisMonth;
+        this.leftThisMonth = data.left_this_month ?? this.leftThisMonth;
+        if (data.fields) this.setFields(data.fields);
+    }
+
+    // Custom field schema: columns and filters follow the company's field definitions
+    setFields(fields) {
+        if (JSON.stringify(fields) === JSON.stringify(this.fields)) return;
+
+        this.fields = fields;
+        const keys = fields.map(field => field.key);
+        Object.keys(this.fieldFilters)
+            .filter(key => !keys.includes(key))
+            .forEach(key => delete this.fieldFilters[key]);
+
+        this.renderFieldColumns();
+        this.renderFieldFilters();
+    }
+
+    renderFieldColumns() {
+        document.querySelectorAll('.schema-column').forEach(column => column.remove());
+
+        const joinedHeader = document.querySelector('#membersHeaderRow .col-joined');
+        this.fields.forEach(field => {
+            const header = document.createElement('th');
+            header.className = 'schema-column';
+            header.innerHTML = `<button class="th-button">${this.escapeHtml(field.label)}</button>`;
+            joinedHeader?.before(header);
+        });
+
+        // With a schema, the free-form column only shows waitlist answers
+        const customFieldsHeader = document.getElementById('customFieldsHeader');
+        if (customFieldsHeader) {
+            customFieldsHeader.textContent = this.fields.length > 0 ? 'Answers' : 'Custom Fields';
+        }
+    }
+
+    renderFieldFilters() {
+        const container = document.getElementById('fieldFilters');
+        if (!container) return;
+
+        container.innerHTML = this.fields
+            .filter(field => field.type === 'select' || field.type === 'multi_select')
+            .map(field => `
+                <select class="select-input" data-field-filter="${this.escapeHtml(field.key)}">
+                    <option value="">All: ${this.escapeHtml(field.label)}</option>
+                    ${field.options.map(option => `
+                        <option value="${this.escapeHtml(option)}" ${this.fieldFilters[field.key] === option ? 'selected' : ''}>
+                            ${this.escapeHtml(option)}
+                        </option>
+                    `).join('')}
+                </select>
+            `).join('');
+    }
+
+    formatFieldValue(field, value) {
+        if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '<span class="no-fields">—</span>';
+        }
+
+        switch (field.type) {
+            case 'url':
+                return `<a class="member-link" href="${this.escapeHtml(String(value))}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(String(value).replace(/^https?:\/\//, ''))}</a>`;
+            case 'multi_select':
+                return `<div class="member-meta">${[].concat(value).map(item => `<span class="member-skill">${this.escapeHtml(String(item))}</span>`).join('')}</div>`;
+            case 'date':
+                return this.escapeHtml(new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    year: 'numeric',
+                    timeZone: 'UTC'
+                }));
+            default:
+                return this.escapeHtml(String(value));
+        }
+    }
+
+    // Form controls for schema fields, read back with readFieldInputs()
+    renderFieldInputs(fields, values) {
+        return fields.map(field => {
+            const value = values[field.key];
+            const key = this.escapeHtml(field.key);
+            const label = `
+                <label class="form-label" for="field_${key}">
+                    ${this.escapeHtml(field.label)}${field.required ? ' <span class="field-required">*</span>' : ''}
+                </label>
+            `;
+
+            if (field.type === 'select') {
+                return `${label}
+                    <select id="field_${key}" class="select-input" data-custom-field="${key}">
+                        <option value=""></option>
+                        ${field.options.map(option => `
+                            <option value="${this.escapeHtml(option)}" ${value === option ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>
+                `;
+            }
+
+            if (field.type === 'multi_select') {
+                const selected = [].concat(value || []);
+                return `${label}
+                    <div class="privacy-fields" data-custom-field="${key}" data-multi="true">
+                        ${field.options.map(option => `
+                            <label class="form-checkbox">
+                                <input type="checkbox" value="${this.escapeHtml(option)}" ${selected.includes(option) ? 'checked' : ''} />
+                                ${this.escapeHtml(option)}
+                            </label>
+                        `).join('')}
+                    </div>
+                `;
+            }
+
+            const inputType = { url: 'url', number: 'number', date: 'date' }[field.type] || 'text';
+            return `${label}
+                <input type="${inputType}" id="field_${key}" class="search-input form-input" data-custom-field="${key}"
+                    value="${this.escapeHtml(value === undefined || value === null ? '' : String(value))}" />
+            `;
+        }).join('');
+    }
+
+    readFieldInputs(container) {
+        const values = {};
+        container.querySelectorAll('[data-custom-field]').forEach(input => {
+            const key = input.dataset.customField;
+            if (input.dataset.multi) {
+                values[key] = [...input.querySelectorAll('input:checked')].map(option => option.value);
+            } else {
+                values[key] = input.value.trim() || null;
+            }
+        });
+        return values;
+    }
+
+    updateLoadMoreSentinel() {
+        const sentinel = document.getElementById('loadMoreSentinel');
+        if (sentinel) {
+            sentinel.style.display = this.hasMore ? 'flex' : 'none';
         }
     }
 
@@ -974,8 +2118,6 @@ class MemberDirectory {
     }
 
     selectCompany(companyId) {
-        console.log(`🏢 Selecting company: ${companyId}`);
-        
         // Update URL with company parameter
         const url = new URL(window.location);
         url.searchParams.set('company', companyId);
@@ -989,7 +2131,8 @@ class MemberDirectory {
     }
 
     updateCompanyInfo(companyId) {
-        if (companyId) {
+        // Branded directories show their own name and header text instead
+        if (companyId && !this.branding) {
             const subtitle = document.getElementById('companySubtitle');
             if (subtitle) {
                 subtitle.textContent = `Connect with fellow community members • ${companyId}`;
@@ -1043,16 +2186,12 @@ class MemberDirectory {
     }
 
     async testConnection() {
-        console.log('🧪 Testing API connection...');
-        
         try {
             // Test basic API endpoint
             const response = await fetch('/api/test');
-            console.log('📡 Basic API test response:', response.status);
             
             if (response.ok) {
                 const data = await response.json();
-                console.log('✅ Basic API working:', data);
                 
                 const msg = `✅ API Connection Successful!\n\nDetected Company: ${data.detected_company}\nServer: ${data.server}`;
                 alert(msg);
@@ -1066,47 +2205,11 @@ class MemberDirectory {
         }
     }
 
+    // Search and sort run in SQL, so any change restarts from the first page
     filterAndRenderMembers() {
-        // Filter members based on search term
-        this.filteredMembers = this.members.filter(member => {
-            if (!this.searchTerm) return true;
-            
-            const searchFields = [
-                member.name,
-                member.username,
-                member.email,
-                JSON.stringify(member.waitlist_responses || {})
-            ].filter(Boolean).join(' ').toLowerCase();
-            
-            return searchFields.includes(this.searchTerm);
-        });
-
-        // Sort members
-        this.filteredMembers.sort((a, b) => {
-            let aValue, bValue;
-            
-            switch (this.sortField) {
-                case 'name':
-                    aValue = (a.username || a.name || 'Anonymous').toLowerCase();
-                    bValue = (b.username || b.name || 'Anonymous').toLowerCase();
-                    break;
-                case 'joined_at':
-                    aValue = new Date(a.joined_at || 0);
-                    bValue = new Date(b.joined_at || 0);
-                    break;
-                default:
-                    return 0;
-            }
-            
-            if (this.sortDirection === 'asc') {
-                return aValue > bValue ? 1 : -1;
-            } else {
-                return aValue < bValue ? 1 : -1;
-            }
-        });
-
-        this.renderMembers();
-        this.updateMemberCount();
+        this.nextCursor = null;
+        this.hasMore = false;
+        this.loadMembers();
     }
 
     renderMembers() {
@@ -1114,6 +2217,9 @@ class MemberDirectory {
         const emptyState = document.getElementById('emptyState');
         
         if (!tableBody || !emptyState) return;
+
+        this.filteredMembers = this.members;
+        this.updateLoadMoreSentinel();
         
         if (this.filteredMembers.length === 0) {
             tableBody.style.display = 'none';
@@ -1130,42 +2236,881 @@ class MemberDirectory {
     }
 
     createMemberRow(member) {
-        const primaryName = member.username || member.name || 'Anonymous';
-        const secondaryInfo = member.name && member.username !== member.name ? member.name : member.email || '';
-        const joinedDate = member.joined_at ? new Date(member.joined_at).toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-        }) : 'Unknown';
+        const primaryName = member.display_name || member.username || member.name || 'Anonymous';
+        const secondaryInfo = member.display_name
+            ? (member.username ? `@${member.username}` : member.name || '')
+            : member.name && member.username !== member.name ? member.name : member.email || '';
+        const membership = member.membership || {};
+        const memberSince = membership.member_since || member.joined_at;
+        const joinedDate = memberSince ? this.formatShortDate(memberSince) : 'Unknown';
         
         // Generate initials for avatar
         const initials = primaryName.slice(0, 2).toUpperCase();
         
         return `
-            <tr>
+            <tr class="${member.hidden ? 'row-hidden' : ''}">
                 <td>
                     <div class="member-cell">
-                        <div class="member-avatar">${initials}</div>
+                        <div class="member-avatar">${this.escapeHtml(initials)}</div>
                         <div class="member-info">
                             <div class="member-name">
-                                ${member.username ? `<span class="member-username">@${this.escapeHtml(member.username)}</span>` : this.escapeHtml(primaryName)}
+                                ${member.username && !member.display_name ? `<span class="member-username">@${this.escapeHtml(member.username)}</span>` : this.escapeHtml(primaryName)}
+                                ${member.featured ? '<span class="member-badge badge-featured">★ Featured</span>' : ''}
+                                ${member.hidden ? '<span class="member-badge badge-hidden">Hidden</span>' : ''}
+                                ${this.formatMembershipStatus(member.membership_status)}
                             </div>
                             ${secondaryInfo ? `<div class="member-email">${this.escapeHtml(secondaryInfo)}</div>` : ''}
+                            ${member.headline ? `<div class="member-headline">${this.escapeHtml(member.headline)}</div>` : ''}
+                            ${this.formatProfileMeta(member)}
+                            ${member.search_snippet ? `<div class="search-snippet">${member.search_snippet}</div>` : ''}
                         </div>
                     </div>
                 </td>
                 <td>
                     <div class="custom-fields">
-                        ${this.formatCustomFields(member.waitlist_responses || member.custom_fields || {})}
+                        ${this.fields.length > 0
+                            ? this.formatCustomFields(member.waitlist_responses || {})
+                            : this.formatCustomFields(member.waitlist_responses || member.custom_fields || {})}
                     </div>
                 </td>
+                ${this.fields.map(field => `
+                    <td class="schema-column">${this.formatFieldValue(field, (member.custom_fields || {})[field.key])}</td>
+                `).join('')}
                 <td>
-                    <div class="date-cell">${joinedDate}</div>
+                    <div class="date-cell">
+                        ${joinedDate}
+                        ${this.formatMembershipMeta(membership)}
+                    </div>
                 </td>
+                ${this.adminMode ? this.createAdminActions(member) : ''}
             </tr>
         `;
     }
 
+    createAdminActions(member) {
+        const userId = this.escapeHtml(member.user_id);
+        return `
+            <td>
+                <div class="admin-actions">
+                    <button class="btn-secondary" data-admin-action="${member.hidden ? 'unhide' : 'hide'}" data-user-id="${userId}">
+                        ${member.hidden ? 'Unhide' : 'Hide'}
+                    </button>
+                    <button class="btn-secondary" data-admin-action="${member.featured ? 'unfeature' : 'feature'}" data-user-id="${userId}">
+                        ${member.featured ? 'Unfeature' : 'Feature'}
+                    </button>
+                    <button class="btn-secondary" data-admin-action="edit" data-user-id="${userId}">Edit</button>
+                    <button class="btn-secondary" data-admin-action="resync" data-user-id="${userId}">Resync</button>
+                </div>
+            </td>
+        `;
+    }
+
+    // Admin console: only shown when the server says the viewer is a Whop admin
+    isAdmin() {
+        return Boolean(this.viewer && this.viewer.access_level === 'admin');
+    }
+
+    updateAdminControls() {
+        const toggle = document.getElementById('adminToggle');
+        if (toggle) {
+            toggle.style.display = this.isAdmin() ? 'flex' : 'none';
+            toggle.classList.toggle('btn-active', this.adminMode);
+        }
+
+        // Any signed-in member can manage their own profile and privacy
+        ['profileBtn', 'privacyBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = this.viewer ? 'flex' : 'none';
+        });
+
+        const label = document.getElementById('adminToggleLabel');
+        if (label) label.textContent = this.adminMode ? 'Exit admin' : 'Admin';
+
+        document.querySelectorAll('.admin-only').forEach(element => {
+            element.style.display = this.adminMode ? '' : 'none';
+        });
+    }
+
+    setAdminMode(enabled) {
+        this.adminMode = enabled && this.isAdmin();
+        this.updateAdminControls();
+        this.filterAndRenderMembers();
+    }
+
+    async adminRequest(method, path, body) {
+        const response = await fetch(`/api/admin/${encodeURIComponent(this.currentCompanyId)}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    replaceMember(updated) {
+        this.members = this.members.map(member =>
+            member.user_id === updated.user_id ? { ...member, ...updated } : member
+        );
+        this.renderMembers();
+    }
+
+    async handleAdminAction(action, userId) {
+        if (action === 'edit') {
+            this.openEditModal(userId);
+            return;
+        }
+
+        const requests = {
+            hide: () => this.adminRequest('PATCH', `/members/${encodeURIComponent(userId)}`, { hidden: true }),
+            unhide: () => this.adminRequest('PATCH', `/members/${encodeURIComponent(userId)}`, { hidden: false }),
+            feature: () => this.adminRequest('PATCH', `/members/${encodeURIComponent(userId)}`, { featured: true }),
+            unfeature: () => this.adminRequest('PATCH', `/members/${encodeURIComponent(userId)}`, { featured: false }),
+            resync: () => this.adminRequest('POST', `/members/${encodeURIComponent(userId)}/resync`)
+        };
+        if (!requests[action]) return;
+
+        try {
+            const data = await requests[action]();
+            this.replaceMember(data.member);
+        } catch (error) {
+            console.error(`❌ Admin action ${action} failed:`, error);
+            alert(`❌ ${error.message}`);
+        }
+    }
+
+    openEditModal(userId) {
+        const member = this.members.find(m => m.user_id === userId);
+        if (!member) return;
+
+        this.editingUserId = userId;
+        document.getElementById('adminDisplayName').value = member.display_name || '';
+        document.getElementById('adminCustomFields').value = JSON.stringify(member.custom_fields || {}, null, 2);
+
+        // Edit through typed inputs once the company has a field schema
+        const hasSchema = this.fields.length > 0;
+        document.getElementById('adminSchemaFields').innerHTML = hasSchema
+            ? this.renderFieldInputs(this.fields, member.custom_fields || {})
+            : '';
+        document.getElementById('adminCustomFieldsLabel').style.display = hasSchema ? 'none' : '';
+        document.getElementById('adminCustomFields').style.display = hasSchema ? 'none' : '';
+        document.getElementById('adminFormError').textContent = '';
+        document.getElementById('adminModal').style.display = 'flex';
+    }
+
+    closeEditModal() {
+        this.editingUserId = null;
+        document.getElementById('adminModal').style.display = 'none';
+    }
+
+    async saveEditModal() {
+        const errorElement = document.getElementById('adminFormError');
+        let customFields;
+
+        if (this.fields.length > 0) {
+            customFields = this.readFieldInputs(document.getElementById('adminSchemaFields'));
+        } else {
+            try {
+                customFields = JSON.parse(document.getElementById('adminCustomFields').value || '{}');
+            } catch (e) {
+                errorElement.textContent = 'Custom fields must be valid JSON';
+                return;
+            }
+        }
+
+        try {
+            const data = await this.adminRequest('PATCH', `/members/${encodeURIComponent(this.editingUserId)}`, {
+                display_name: document.getElementById('adminDisplayName').value,
+                custom_fields: customFields
+            });
+            this.replaceMember(data.member);
+            this.closeEditModal();
+        } catch (error) {
+            errorElement.textContent = error.message;
+        }
+    }
+
+    // Branding: per-company colors and copy, applied as CSS variables
+    async loadBranding() {
+        const companyId = this.currentCompanyId;
+        this.brandingCompanyId = companyId;
+
+        try {
+            const response = await fetch(`/api/members/${encodeURIComponent(companyId)}/settings`);
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+            if (this.currentCompanyId === companyId) {
+                this.applyBranding(data.settings);
+            }
+        } catch (error) {
+            // The built-in theme still works, so don't interrupt the directory
+            console.error('❌ Failed to load branding:', error);
+            this.brandingCompanyId = null;
+        }
+    }
+
+    applyBranding(settings) {
+        this.branding = settings;
+
+        const root = document.documentElement;
+        root.style.setProperty('--accent', settings.accent_color);
+        root.style.setProperty('--accent-secondary', settings.accent_color_secondary);
+        document.body.classList.toggle('theme-light', settings.theme_mode === 'light');
+
+        const title = settings.display_name || 'Member Directory';
+        document.getElementById('appTitle').textContent = title;
+        document.getElementById('companySubtitle').textContent = settings.header_text || '';
+        document.getElementById('emptyStateTitle').textContent = settings.empty_state_title;
+        document.getElementById('emptyStateText').textContent = settings.empty_state_text;
+        document.title = `${title} - Member Directory`;
+
+        const icon = document.getElementById('appIcon');
+        if (!this.defaultIconHtml) this.defaultIconHtml = icon.innerHTML;
+        icon.innerHTML = settings.logo_url
+            ? `<img class="app-logo" src="${this.escapeHtml(settings.logo_url)}" alt="" />`
+            : this.defaultIconHtml;
+    }
+
+    async openBrandingModal() {
+        try {
+            const { settings } = await this.adminRequest('GET', '/settings');
+            document.getElementById('brandingDisplayName').value = settings.display_name || '';
+            document.getElementById('brandingHeaderText').value = settings.header_text || '';
+            document.getElementById('brandingLogoUrl').value = settings.logo_url || '';
+            document.getElementById('brandingAccent').value = settings.accent_color;
+            document.getElementById('brandingAccentSecondary').value = settings.accent_color_secondary;
+            document.getElementById('brandingThemeMode').value = settings.theme_mode;
+            document.getElementById('brandingEmptyTitle').value = settings.empty_state_title || '';
+            document.getElementById('brandingEmptyText').value = settings.empty_state_text || '';
+            document.getElementById('brandingFormError').textContent = '';
+            document.getElementById('brandingModal').style.display = 'flex';
+        } catch (error) {
+            console.error('❌ Failed to load branding:', error);
+            alert(`❌ ${error.message}`);
+        }
+    }
+
+    closeBrandingModal() {
+        document.getElementById('brandingModal').style.display = 'none';
+    }
+
+    async saveBrandingModal() {
+        try {
+            const { settings } = await this.adminRequest('PUT', '/settings', {
+                display_name: document.getElementById('brandingDisplayName').value,
+                header_text: document.getElementById('brandingHeaderText').value,
+                logo_url: document.getElementById('brandingLogoUrl').value,
+                accent_color: document.getElementById('brandingAccent').value,
+                accent_color_secondary: document.getElementById('brandingAccentSecondary').value,
+                theme_mode: document.getElementById('brandingThemeMode').value,
+                empty_state_title: document.getElementById('brandingEmptyTitle').value,
+                empty_state_text: document.getElementById('brandingEmptyText').value
+            });
+            this.applyBranding(settings);
+            this.closeBrandingModal();
+        } catch (error) {
+            document.getElementById('brandingFormError').textContent = error.message;
+        }
+    }
+
+    async openFieldsModal() {
+        try {
+            const { fields } = await this.adminRequest('GET', '/fields');
+            document.getElementById('fieldsSchema').value = JSON.stringify(fields, null, 2);
+            document.getElementById('fieldsFormError').textContent = '';
+            document.getElementById('fieldsModal').style.display = 'flex';
+        } catch (error) {
+            console.error('❌ Failed to load field schema:', error);
+            alert(`❌ ${error.message}`);
+        }
+    }
+
+    closeFieldsModal() {
+        document.getElementById('fieldsModal').style.display = 'none';
+    }
+
+    async saveFieldsModal() {
+        const errorElement = document.getElementById('fieldsFormError');
+        let fields;
+
+        try {
+            fields = JSON.parse(document.getElementById('fieldsSchema').value || '[]');
+        } catch (e) {
+            errorElement.textContent = 'Fields must be valid JSON';
+            return;
+        }
+
+        try {
+            await this.adminRequest('PUT', '/fields', { fields });
+            this.closeFieldsModal();
+            this.loadMembers();
+        } catch (error) {
+            errorElement.textContent = error.message;
+        }
+    }
+
+    // Import: a dry run previews the column mapping and row problems before anything is written
+    openImportModal() {
+        this.importFile = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importMapping').innerHTML = '';
+        document.getElementById('importSummary').textContent = '';
+        document.getElementById('importErrors').innerHTML = '';
+        document.getElementById('importFormError').textContent = '';
+        document.getElementById('importPreview').disabled = true;
+        document.getElementById('importApply').disabled = true;
+        document.getElementById('importModal').style.display = 'flex';
+    }
+
+    closeImportModal() {
+        document.getElementById('importModal').style.display = 'none';
+    }
+
+    async selectImportFile(file) {
+        if (!file) return;
+        this.importFile = { name: file.name, csv: await file.text() };
+        document.getElementById('importMapping').innerHTML = '';
+        await this.runImport(true);
+    }
+
+    // The admin's choices from the mapping table, or undefined to use the server's suggestion
+    readImportMapping() {
+        const selects = document.querySelectorAll('#importMapping select[data-import-column]');
+        if (selects.length === 0) return undefined;
+
+        const mapping = {};
+        selects.forEach(select => {
+            mapping[select.dataset.importColumn] = select.value || null;
+        });
+        return mapping;
+    }
+
+    async runImport(dryRun) {
+        if (!this.importFile) return;
+        const errorElement = document.getElementById('importFormError');
+        errorElement.textContent = '';
+
+        try {
+            const response = await fetch(`/api/admin/${encodeURIComponent(this.currentCompanyId)}/import`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    csv: this.importFile.csv,
+                    filename: this.importFile.name,
+                    mapping: this.readImportMapping(),
+                    dry_run: dryRun
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                // A rejected mapping comes back with the columns, so the admin can fix it
+                if (data.columns && !document.querySelector('#importMapping select')) {
+                    this.renderImportMapping(
+                        data.columns.map(name => ({ name, target: data.suggested_mapping[name], samples: [] })),
+                        data.targets
+                    );
+                }
+                document.getElementById('importPreview').disabled = !data.columns;
+                document.getElementById('importApply').disabled = true;
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            this.renderImportMapping(data.columns, data.targets);
+            this.renderImportResult(data);
+            document.getElementById('importPreview').disabled = !dryRun;
+            document.getElementById('importApply').disabled = !dryRun || data.applicable_rows === 0;
+            if (!dryRun) this.loadMembers();
+        } catch (error) {
+            console.error('❌ Import failed:', error);
+            errorElement.textContent = error.message;
+        }
+    }
+
+    renderImportMapping(columns, targets) {
+        const options = selected => [
+            '<option value="">Ignore</option>',
+            ...targets.map(({ target, label }) =>
+                `<option value="${this.escapeHtml(target)}" ${target === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+        ].join('');
+
+        document.getElementById('importMapping').innerHTML = `
+            <table>
+                <thead><tr><th>Column</th><th>Examples</th><th>Import as</th></tr></thead>
+                <tbody>
+                    ${columns.map(column => `
+                        <tr>
+                            <td>${this.escapeHtml(column.name)}</td>
+                            <td class="import-samples">${this.escapeHtml(column.samples.join(', '))}</td>
+                            <td>
+                                <select class="select-input" data-import-column="${this.escapeHtml(column.name)}">
+                                    ${options(column.target)}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderImportResult(data) {
+        const summary = document.getElementById('importSummary');
+        if (data.dry_run) {
+            summary.textContent = `${data.total_rows} rows: ${data.applicable_rows} ready to import, ${data.error_rows} with problems.`;
+        } else {
+            summary.innerHTML = `Imported ${data.applied_rows} of ${data.total_rows} rows.` + (data.error_report_url
+                ? ` ${data.error_rows} rows were skipped: <a href="${this.escapeHtml(data.error_report_url)}" download>download the error report</a>.`
+                : '');
+        }
+
+        const shown = data.errors.length < data.error_rows ? ` (first ${data.errors.length} shown)` : '';
+        document.getElementById('importErrors').innerHTML = data.errors.length === 0 ? '' : `
+            <span class="form-label">Rows with problems${shown}</span>
+            <table>
+                <tbody>
+                    ${data.errors.map(entry => `
+                        <tr>
+                            <td>Row ${entry.row}</td>
+                            <td>${entry.errors.map(error => this.escapeHtml(error)).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Export: the server streams the file, so hand the browser a link instead of fetching it
+    openExportModal() {
+        document.getElementById('exportModal').style.display = 'flex';
+    }
+
+    closeExportModal() {
+        document.getElementById('exportModal').style.display = 'none';
+    }
+
+    buildExportUrl(format) {
+        const params = new URLSearchParams({
+            format,
+            sort: this.sortField,
+            direction: this.sortDirection
+        });
+        if (this.searchTerm) params.set('q', this.searchTerm);
+        if (document.getElementById('exportIncludeHidden').checked) params.set('include_hidden', 'true');
+        const experienceId = this.detectExperienceId();
+        if (experienceId) params.set('experience_id', experienceId);
+        this.appendFieldFilters(params);
+
+        return `/api/admin/${encodeURIComponent(this.currentCompanyId)}/export?${params.toString()}`;
+    }
+
+    downloadExport() {
+        const format = document.getElementById('exportFormat').value;
+        const link = document.createElement('a');
+        link.href = this.buildExportUrl(format);
+        // The roster opens in a tab to print from; the rest download
+        if (format === 'html') {
+            link.target = '_blank';
+        } else {
+            link.download = '';
+        }
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.closeExportModal();
+    }
+
+    // Analytics: growth, churn and retention for a date range, drawn as inline SVG
+    async openAnalyticsModal() {
+        const fromInput = document.getElementById('analyticsFrom');
+        const toInput = document.getElementById('analyticsTo');
+        if (!toInput.value) {
+            const today = new Date();
+            toInput.value = today.toISOString().slice(0, 10);
+            fromInput.value = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        }
+        document.getElementById('analyticsModal').style.display = 'flex';
+        await this.loadAnalytics();
+    }
+
+    closeAnalyticsModal() {
+        document.getElementById('analyticsModal').style.display = 'none';
+    }
+
+    async loadAnalytics() {
+        const errorElement = document.getElementById('analyticsFormError');
+        const params = new URLSearchParams({
+            from: document.getElementById('analyticsFrom').value,
+            to: document.getElementById('analyticsTo').value
+        });
+        errorElement.textContent = '';
+
+        try {
+            const data = await this.adminRequest('GET', `/analytics?${params}`);
+            this.renderAnalytics(data);
+        } catch (error) {
+            console.error('❌ Failed to load analytics:', error);
+            errorElement.textContent = error.message;
+        }
+    }
+
+    renderAnalytics({ summary, daily, cohorts }) {
+        const signed = value => (value > 0 ? `+${value}` : String(value));
+        const metrics = [
+            [summary.joins + summary.rejoins, summary.rejoins ? `Joins (${summary.rejoins} rejoins)` : 'Joins'],
+            [summary.leaves, 'Leaves'],
+            [signed(summary.net_growth), 'Net growth'],
+            [this.formatPercent(summary.churn_rate), 'Churn rate'],
+            [`${summary.active_at_start} → ${summary.active_at_end}`, 'Active members']
+        ];
+
+        document.getElementById('analyticsSummary').innerHTML = metrics.map(([value, label]) => `
+            <div class="analytics-metric">
+                <strong>${this.escapeHtml(String(value))}</strong>
+                <span>${this.escapeHtml(label)}</span>
+            </div>
+        `).join('');
+        document.getElementById('analyticsDailyChart').innerHTML = this.renderDailyChart(daily);
+        document.getElementById('analyticsActiveChart').innerHTML = this.renderActiveChart(daily);
+        document.getElementById('analyticsCohorts').innerHTML = this.renderCohortTable(cohorts);
+    }
+
+    formatPercent(rate) {
+        return rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`;
+    }
+
+    // Joins above the axis, leaves below it, one slot per day
+    renderDailyChart(daily) {
+        const width = 720, height = 180, left = 32, bottom = 18, top = 8;
+        const plotWidth = width - left;
+        const half = (height - top - bottom) / 2;
+        const axisY = top + half;
+        const peak = Math.max(1, ...daily.map(day => Math.max(day.joins + day.rejoins, day.leaves)));
+        const slot = plotWidth / Math.max(daily.length, 1);
+        const barWidth = Math.max(1, slot * 0.7);
+
+        const bars = daily.map((day, index) => {
+            const x = left + index * slot + (slot - barWidth) / 2;
+            const joinHeight = ((day.joins + day.rejoins) / peak) * half;
+            const leaveHeight = (day.leaves / peak) * half;
+            return `
+                <g>
+                    <title>${this.escapeHtml(day.date)}: ${day.joins + day.rejoins} joined, ${day.leaves} left</title>
+                    <rect class="chart-joins" x="${x}" y="${axisY - joinHeight}" width="${barWidth}" height="${joinHeight}"/>
+                    <rect class="chart-leaves" x="${x}" y="${axisY}" width="${barWidth}" height="${leaveHeight}"/>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Joins and leaves per day">
+                <line class="chart-axis" x1="${left}" y1="${axisY}" x2="${width}" y2="${axisY}"/>
+                <text x="0" y="${top + 8}">${peak}</text>
+                <text x="0" y="${axisY + 3}">0</text>
+                <text x="0" y="${height - bottom}">-${peak}</text>
+                ${bars}
+                ${this.renderDateLabels(daily, left, width, height)}
+            </svg>
+        `;
+    }
+
+    renderActiveChart(daily) {
+        const width = 720, height = 140, left = 32, bottom = 18, top = 8;
+        const values = daily.map(day => day.active);
+        const low = Math.min(...values, 0);
+        const high = Math.max(...values, low + 1);
+        const step = (width - left) / Math.max(daily.length - 1, 1);
+        const y = value => top + (1 - (value - low) / (high - low)) * (height - top - bottom);
+        const points = values.map((value, index) => `${left + index * step},${y(value)}`).join(' ');
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Active members per day">
+                <line class="chart-axis" x1="${left}" y1="${height - bottom}" x2="${width}" y2="${height - bottom}"/>
+                <text x="0" y="${top + 8}">${high}</text>
+                <text x="0" y="${height - bottom}">${low}</text>
+                <polyline class="chart-line" points="${points}"/>
+                ${this.renderDateLabels(daily, left, width, height)}
+            </svg>
+        `;
+    }
+
+    renderDateLabels(daily, left, width, height) {
+        if (daily.length === 0) return '';
+        const first = daily[0].date;
+        const last = daily[daily.length - 1].date;
+        return `
+            <text x="${left}" y="${height - 4}">${this.escapeHtml(first)}</text>
+            <text x="${width}" y="${height - 4}" text-anchor="end">${this.escapeHtml(last)}</text>
+        `;
+    }
+
+    // One row per cohort; cell shading follows the share of the cohort still active
+    renderCohortTable(cohorts) {
+        if (cohorts.length === 0) {
+            return '<p class="form-hint">Nobody first joined in this range.</p>';
+        }
+
+        const months = Math.max(...cohorts.map(cohort => cohort.retention.length));
+        const header = Array.from({ length: months }, (_, month) => `<th>Month ${month}</th>`).join('');
+        const rows = cohorts.map(cohort => `
+            <tr>
+                <th>${this.escapeHtml(cohort.cohort)}</th>
+                <td>${cohort.size}</td>
+                ${Array.from({ length: months }, (_, month) => {
+                    const cell = cohort.retention[month];
+                    if (!cell) return '<td></td>';
+                    return `<td class="cohort-cell" style="--rate: ${cell.rate ?? 0}" title="${cell.retained} of ${cohort.size} active">${this.formatPercent(cell.rate)}</td>`;
+                }).join('')}
+            </tr>
+        `).join('');
+
+        return `
+            <table class="cohort-table">
+                <thead><tr><th>Cohort</th><th>Members</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Location, skills and links a member added to their own profile
+    formatProfileMeta(member) {
+        const links = [
+            member.website && ['Website', member.website],
+            ...Object.entries(member.social_links || {})
+                .map(([network, url]) => [network === 'x' ? 'X' : network.charAt(0).toUpperCase() + network.slice(1), url])
+        ].filter(Boolean);
+        const items = [
+            member.location ? `<span>📍 ${this.escapeHtml(member.location)}</span>` : '',
+            ...(member.skills || []).map(skill => `<span class="member-skill">${this.escapeHtml(skill)}</span>`),
+            ...links.map(([label, url]) =>
+                `<a class="member-link" href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(label)}</a>`
+            )
+        ].filter(Boolean);
+
+        return items.length > 0 ? `<div class="member-meta">${items.join('')}</div>` : '';
+    }
+
+    formatShortDate(value) {
+        return new Date(value).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric'
+        });
+    }
+
+    // Total time as a member, from the server's membership history
+    formatTenure(days) {
+        if (days === null || days === undefined) return '';
+        if (days < 1) return 'New';
+        if (days < 30) return `${days}d`;
+        const months = Math.floor(days / 30.44);
+        if (months < 12) return `${months}mo`;
+        const years = Math.floor(months / 12);
+        const remainder = months % 12;
+        return remainder > 0 ? `${years}y ${remainder}mo` : `${years}y`;
+    }
+
+    // Billing states worth flagging; only admins and the member themself receive membership_status
+    formatMembershipStatus(status) {
+        const labels = { trialing: 'Trial', past_due: 'Past due', canceling: 'Canceling' };
+        return labels[status]
+            ? `<span class="member-badge badge-${status.replace('_', '-')}">${labels[status]}</span>`
+            : '';
+    }
+
+    formatMembershipMeta(membership) {
+        const tenure = this.formatTenure(membership.tenure_days);
+        const rejoined = membership.rejoin_count > 0
+            ? `<span class="member-badge badge-rejoined" title="Rejoined ${this.escapeHtml(this.formatShortDate(membership.rejoined_at))}">Rejoined</span>`
+            : '';
+
+        if (!tenure && !rejoined) return '';
+        return `
+            <div class="membership-meta">
+                ${tenure ? `<span title="Total time as a member">${tenure}</span>` : ''}
+                ${rejoined}
+            </div>
+        `;
+    }
+
+    // Member self-service: the caller's own profile and privacy via /api/me
+    async meRequest(path, method, body, query = {}) {
+        const params = new URLSearchParams({ company_id: this.currentCompanyId, ...query });
+        const response = await fetch(`/api/me/${path}?${params}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    // "People you should meet" for the signed-in member; refresh recomputes instead of using the cache
+    async loadMatches(refresh = false) {
+        const companyId = this.currentCompanyId;
+        this.matchesCompanyId = companyId;
+
+        try {
+            const data = await this.meRequest('matches', 'GET', null, refresh ? { refresh: 'true' } : {});
+            if (this.currentCompanyId === companyId) {
+                this.renderMatches(data.matches);
+            }
+        } catch (error) {
+            // Suggestions are optional; the directory works without them
+            console.error('❌ Failed to load matches:', error);
+            this.matchesCompanyId = null;
+            document.getElementById('matchesSection').style.display = 'none';
+        }
+    }
+
+    renderMatches(matches) {
+        const section = document.getElementById('matchesSection');
+        const grid = document.getElementById('matchesGrid');
+        section.style.display = '';
+
+        if (matches.length === 0) {
+            grid.innerHTML = `
+                <div class="matches-empty">
+                    Add skills, a headline or your goals to your profile to get suggestions.
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = matches.map(({ member, reasons, explanation }) => {
+            const name = member.display_name || member.name || member.username || 'Anonymous';
+            return `
+                <div class="match-card">
+                    <div class="member-cell">
+                        <div class="member-avatar">${this.escapeHtml(name.slice(0, 2).toUpperCase())}</div>
+                        <div class="member-info">
+                            <div class="member-name">${this.escapeHtml(name)}</div>
+                            ${member.username ? `<div class="member-email">@${this.escapeHtml(member.username)}</div>` : ''}
+                            ${member.headline ? `<div class="member-headline">${this.escapeHtml(member.headline)}</div>` : ''}
+                        </div>
+                    </div>
+                    <div class="match-reasons">
+                        ${reasons.length > 0
+                            ? reasons.map(reason => `
+                                <div><span class="match-reason-label">${this.escapeHtml(reason.label)}:</span> ${this.escapeHtml(reason.terms.join(', '))}</div>
+                            `).join('')
+                            : `<div>${this.escapeHtml(explanation)}</div>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async openProfileModal() {
+        try {
+            const { profile, fields, limits } = await this.meRequest('profile', 'GET');
+
+            document.getElementById('profileHeadline').value = profile.headline || '';
+            document.getElementById('profileBio').value = profile.bio || '';
+            document.getElementById('profileSkills').value = profile.skills.join(', ');
+            document.getElementById('profileLocation').value = profile.location || '';
+            document.getElementById('profileWebsite').value = profile.website || '';
+            document.getElementById('profileSocialLinks').innerHTML = limits.social_networks.map(network => `
+                <input type="url" class="search-input form-input" data-social-network="${this.escapeHtml(network)}"
+                    value="${this.escapeHtml(profile.social_links[network] || '')}" maxlength="${limits.website}"
+                    placeholder="${this.escapeHtml(network)} URL" />
+            `).join('');
+            document.getElementById('profileCustomFields').innerHTML = this.renderFieldInputs(fields, profile.custom_fields);
+            this.profileHasFields = fields.length > 0;
+            document.getElementById('profileFormError').textContent = '';
+            document.getElementById('profileModal').style.display = 'flex';
+        } catch (error) {
+            console.error('❌ Failed to load profile:', error);
+            alert(`❌ ${error.message}`);
+        }
+    }
+
+    closeProfileModal() {
+        document.getElementById('profileModal').style.display = 'none';
+    }
+
+    async saveProfileModal() {
+        const socialLinks = {};
+        document.querySelectorAll('[data-social-network]').forEach(input => {
+            socialLinks[input.dataset.socialNetwork] = input.value.trim() || null;
+        });
+
+        try {
+            const { profile } = await this.meRequest('profile', 'PUT', {
+                headline: document.getElementById('profileHeadline').value,
+                bio: document.getElementById('profileBio').value,
+                skills: document.getElementById('profileSkills').value.split(','),
+                location: document.getElementById('profileLocation').value,
+                website: document.getElementById('profileWebsite').value,
+                social_links: socialLinks,
+                ...(this.profileHasFields && {
+                    custom_fields: this.readFieldInputs(document.getElementById('profileCustomFields'))
+                })
+            });
+            // The profile only carries member-editable custom fields, so reload rather than merge those
+            const { custom_fields: customFields, ...profileColumns } = profile;
+            this.replaceMember({ user_id: this.viewer.user_id, ...profileColumns });
+            this.closeProfileModal();
+            if (this.profileHasFields) this.loadMembers();
+            this.loadMatches();
+        } catch (error) {
+            document.getElementById('profileFormError').textContent = error.message;
+        }
+    }
+
+    async openPrivacyModal() {
+        try {
+            const data = await this.meRequest('privacy', 'GET');
+            const { privacy, available_fields: fields } = data;
+
+            document.getElementById('privacyOptOut').checked = privacy.opt_out;
+            document.getElementById('privacyHideEmail').checked = privacy.hide_email;
+            document.getElementById('privacyFields').innerHTML = fields.length > 0
+                ? fields.map(field => `
+                    <label class="form-checkbox">
+                        <input type="checkbox" data-privacy-field="${this.escapeHtml(field)}" ${privacy.hidden_fields.includes(field) ? 'checked' : ''} />
+                        ${this.escapeHtml(field.replace(/_/g, ' '))}
+                    </label>
+                `).join('')
+                : '<div class="no-fields">No custom fields</div>';
+            document.getElementById('privacyFormError').textContent = '';
+            document.getElementById('privacyModal').style.display = 'flex';
+        } catch (error) {
+            console.error('❌ Failed to load privacy settings:', error);
+            alert(`❌ ${error.message}`);
+        }
+    }
+
+    closePrivacyModal() {
+        document.getElementById('privacyModal').style.display = 'none';
+    }
+
+    async savePrivacyModal() {
+        const hiddenFields = [...document.querySelectorAll('[data-privacy-field]')]
+            .filter(input => input.checked)
+            .map(input => input.dataset.privacyField);
+
+        try {
+            await this.meRequest('privacy', 'PUT', {
+                opt_out: document.getElementById('privacyOptOut').checked,
+                hide_email: document.getElementById('privacyHideEmail').checked,
+                hidden_fields: hiddenFields
+            });
+            this.closePrivacyModal();
+        } catch (error) {
+            document.getElementById('privacyFormError').textContent = error.message;
+        }
+    }
+
     formatCustomFields(customFields) {
         if (!customFields || typeof customFields !== 'object') {
             return '<div class="no-fields">No custom fields</div>';
@@ -1224,30 +3169,21 @@ class MemberDirectory {
     }
 
     updateStats() {
-        const totalMembers = this.members.length;
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        const newThisMonth = this.members.filter(member => {
-            if (!member.joined_at) return false;
-            const joinDate = new Date(member.joined_at);
-            return joinDate.getMonth() === currentMonth && joinDate.getFullYear() === currentYear;
-        }).length;
-        
-        const activeMembers = this.members.filter(member => member.status === 'active').length;
-
+        // Totals come from the server; only one page of members is loaded at a time
         const totalElement = document.getElementById('totalMembers');
-        const newElement = document.getElementById('newThisMonth');
         const activeElement = document.getElementById('activeMembers');
+        const newElement = document.getElementById('newThisMonth');
+        const leftElement = document.getElementById('leftThisMonth');
 
-        if (totalElement) totalElement.textContent = totalMembers;
-        if (newElement) newElement.textContent = newThisMonth;
-        if (activeElement) activeElement.textContent = activeMembers;
+        if (totalElement) totalElement.textContent = this.totalMembers;
+        if (activeElement) activeElement.textContent = this.activeMembers;
+        if (newElement) newElement.textContent = this.newThisMonth;
+        if (leftElement) leftElement.textContent = this.leftThisMonth;
     }
 
     updateMemberCount() {
-        const count = this.filteredMembers.length;
-        const total = this.members.length;
+        const count = this.totalMatching;
+        const total = this.totalMembers;
         const memberCount = document.getElementById('memberCount');
         
         if (memberCount) {
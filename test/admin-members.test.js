@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTALL_TOKEN, startWhopStub, loadServer, stubQueries, listen } = require('./helpers');
+
+const fields = [
+  { key: 'role', label: 'Role', type: 'select', options: ['Founder', 'Engineer'], required: true, visibility: 'members' },
+  { key: 'city', label: 'City', type: 'text', required: false, visibility: 'members' }
+];
+
+// Whop's publicUser, by user ID
+const whopUsers = { user_ada: { id: 'user_ada', name: 'Ada L.', username: 'ada', profilePicture: null } };
+
+let server;
+let whop;
+let directory;
+let stored;
+let updates;
+let connections;
+
+test.before(async () => {
+  whop = await startWhopStub(variables => ({ publicUser: whopUsers[variables.userId] || null }));
+  server = loadServer();
+  stubQueries(server.pool);
+  server.pool.connect = async () => {
+    connections += 1;
+    return {
+      async query(sql, params) {
+        if (/FROM whop_members WHERE company_id = \$1 AND user_id = \$2 FOR UPDATE/.test(sql)) {
+          return { rows: [stored] };
+        }
+        if (/FROM company_field_definitions/.test(sql)) return { rows: fields };
+        if (/UPDATE whop_members/.test(sql)) {
+          updates.push(params);
+          return { rows: [stored] };
+        }
+        return { rows: [] };
+      },
+      release() {}
+    };
+  };
+  directory = await listen(server.app);
+});
+
+test.beforeEach(() => {
+  stored = { user_id: 'user_ada', custom_fields: { role: 'Founder', city: 'Paris', referral: 'newsletter' } };
+  updates = [];
+  connections = 0;
+});
+
+test.after(() => {
+  directory.close();
+  whop.close();
+});
+
+function adminRequest(method, path, body) {
+  return fetch(`${directory.baseUrl}/api/admin/biz_acme/members/${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'x-install-token': INSTALL_TOKEN },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('merges a partial custom_fields edit into the stored values', async () => {
+  const response = await adminRequest('PATCH', 'user_ada', { custom_fields: { city: 'Berlin' } });
+
+  assert.equal(response.status, 200);
+  // The required role wasn't resent and the legacy referral key isn't in the schema
+  assert.deepEqual(JSON.parse(updates[0][2]), { referral: 'newsletter', role: 'Founder', city: 'Berlin' });
+});
+
+test('validates the merged values against the schema', async () => {
+  const cleared = await adminRequest('PATCH', 'user_ada', { custom_fields: { role: null } });
+  const unknown = await adminRequest('PATCH', 'user_ada', { custom_fields: { shoe_size: 42 } });
+
+  assert.equal(cleared.status, 400);
+  assert.equal((await cleared.json()).error, 'Role is required');
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).error, 'custom_fields.shoe_size is not a field in this directory');
+  assert.deepEqual(updates, []);
+});
+
+test('resyncs a member from Whop', async () => {
+  const response = await adminRequest('POST', 'user_ada/resync');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(updates[0].slice(2, 5), ['ada', 'Ada L.', null]);
+});
+
+test('looks the user up on Whop before taking a database connection', async () => {
+  const response = await adminRequest('POST', 'user_gone/resync');
+
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).error, 'User not found on Whop');
+  assert.equal(connections, 0);
+});
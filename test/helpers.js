@@ -0,0 +1,80 @@
+// Stubs shared by the tests that drive the server over HTTP. Nothing here talks to Whop or
+// Postgres: GraphQL goes to a local stand-in and pool queries are answered in memory.
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+// The app tokens from userToken are minted for
+const WHOP_APP_ID = 'app_test';
+const INSTALL_TOKEN = 'install-token';
+
+// Tokens from userToken carry this in place of Whop's ES256 signature
+const PLACEHOLDER_SIGNATURE = Buffer.from('signature', 'base64url');
+
+// A stand-in for Whop's GraphQL API answering each request with respond(variables).
+// Start it before loadServer, which points the server's GraphQL client at it.
+async function startWhopStub(respond) {
+  const whop = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { variables } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: respond(variables) }));
+    });
+  });
+  await new Promise(resolve => whop.listen(0, resolve));
+  process.env.WHOP_GRAPHQL_URL = `http://127.0.0.1:${whop.address().port}`;
+  return whop;
+}
+
+// Requires the server configured for tests: the admin install token, no background webhook
+// worker, and placeholder-signed user tokens accepted alongside real ones
+function loadServer() {
+  process.env.WHOP_APP_ID = WHOP_APP_ID;
+  process.env.INSTALL_TOKEN = INSTALL_TOKEN;
+  process.env.WEBHOOK_WORKER_ENABLED = 'false';
+
+  const verify = crypto.verify;
+  crypto.verify = (algorithm, data, key, signature) => (
+    PLACEHOLDER_SIGNATURE.equals(signature) || verify(algorithm, data, key, signature)
+  );
+
+  return require('../server');
+}
+
+// Answers pool.query with handler(sql, params). The company_aliases lookup every /:companyId
+// route makes resolves any identifier to itself; queries the handler skips return no rows.
+function stubQueries(pool, handler = () => null) {
+  pool.query = async (sql, params) => {
+    if (/FROM company_aliases a/.test(sql)) {
+      return { rows: [{ company_id: params[1], company_name: 'Acme', company_slug: 'acme', resolved_by: params[0] }] };
+    }
+    return (await handler(sql, params)) || { rows: [], rowCount: 0 };
+  };
+}
+
+// Serves app on a free port; returns its base URL and a close function
+async function listen(app) {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => server.close()
+  };
+}
+
+// A token with the claims Whop's proxy sets for this app, signed with the placeholder
+function userToken(userId, claims = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = { iss: 'urn:whopcom:exp-proxy', aud: WHOP_APP_ID, sub: userId, ...claims };
+  return `${encode({ alg: 'ES256' })}.${encode(payload)}.${PLACEHOLDER_SIGNATURE.toString('base64url')}`;
+}
+
+module.exports = {
+  INSTALL_TOKEN,
+  startWhopStub,
+  loadServer,
+  stubQueries,
+  listen,
+  userToken
+};
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { findMatches, registerEmbeddingProvider } = require('../matching');
+
+const fields = [
+  { key: 'role', label: 'Role', type: 'select', visibility: 'members' },
+  { key: 'goal', label: 'Your goal', type: 'text', visibility: 'members' },
+  { key: 'notes', label: 'Notes', type: 'text', visibility: 'admins' }
+];
+
+const members = [
+  {
+    user_id: 'ann',
+    skills: ['React', 'Growth marketing'],
+    headline: 'Building a SaaS for creators',
+    bio: 'I love design systems',
+    custom_fields: { role: 'Founder', goal: 'Find a technical cofounder for my startup', notes: 'vip' },
+    waitlist_responses: { 'What are you hoping to get?': 'A cofounder and pricing feedback' },
+    privacy_settings: {}
+  },
+  {
+    user_id: 'bob',
+    skills: ['react', 'Node'],
+    headline: 'Engineer',
+    bio: '',
+    custom_fields: { role: 'Engineer', goal: 'Join a startup as technical cofounder', notes: 'vip' },
+    waitlist_responses: {},
+    privacy_settings: {}
+  },
+  {
+    user_id: 'cat',
+    skills: ['Growth marketing'],
+    headline: 'Creators agency',
+    bio: '',
+    custom_fields: { role: 'Founder' },
+    waitlist_responses: {},
+    privacy_settings: { hidden_fields: ['role'] }
+  },
+  {
+    user_id: 'dan',
+    skills: ['Cooking'],
+    headline: 'Chef',
+    bio: '',
+    custom_fields: { notes: 'vip' },
+    waitlist_responses: {},
+    privacy_settings: {}
+  }
+];
+
+// member_matches and member_embeddings kept in memory
+let cache;
+let embeddings;
+
+test.beforeEach(() => {
+  cache = null;
+  embeddings = new Map();
+  delete process.env.MATCHING_PROVIDER;
+  db.pool.query = async (sql, params) => {
+    if (/FROM whop_members/.test(sql)) return { rows: members };
+    if (/FROM member_matches/.test(sql)) {
+      return { rows: cache && cache.document_hash === params[2] ? [cache] : [] };
+    }
+    if (/INSERT INTO member_matches/.test(sql)) {
+      cache = { provider: params[2], document_hash: params[3], matches: JSON.parse(params[4]), computed_at: new Date() };
+      return { rows: [{ computed_at: cache.computed_at }] };
+    }
+    if (/FROM member_embeddings/.test(sql)) return { rows: [...embeddings.values()] };
+    if (/INSERT INTO member_embeddings/.test(sql)) {
+      JSON.parse(params[3]).forEach(entry => embeddings.set(entry.user_id, entry));
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+});
+
+test('ranks members by shared skills, goals and answers and explains each match', async () => {
+  const result = await findMatches('biz_1', 'ann', fields);
+
+  assert.equal(result.provider, 'tfidf');
+  assert.equal(result.cached, false);
+  assert.deepEqual(result.matches.map(match => match.user_id).sort(), ['bob', 'cat']);
+
+  const bob = result.matches.find(match => match.user_id === 'bob');
+  assert.deepEqual(bob.reasons.find(reason => reason.type === 'skills').terms, ['React']);
+  assert.ok(bob.reasons.find(reason => reason.type === 'goals').terms.includes('cofounder'));
+  assert.match(bob.explanation, /Similar goals: .*cofounder/);
+});
+
+test('never matches on admin-only fields or fields a member has hidden', async () => {
+  const result = await findMatches('biz_1', 'ann', fields);
+  const terms = result.matches.flatMap(match => match.reasons.flatMap(reason => reason.terms));
+
+  // Ann, bob and dan share an admin-only notes value, and cat hides the Founder role ann also has
+  assert.ok(!terms.includes('vip'));
+  assert.ok(!terms.includes('Role: Founder'));
+  assert.ok(!result.matches.some(match => match.user_id === 'dan'));
+});
+
+test('reuses cached matches until asked to refresh', async () => {
+  await findMatches('biz_1', 'ann', fields);
+
+  assert.equal((await findMatches('biz_1', 'ann', fields)).cached, true);
+  assert.equal((await findMatches('biz_1', 'ann', fields, { refresh: true })).cached, false);
+});
+
+test('scores with an embedding provider and embeds each profile once', async () => {
+  let embedded = 0;
+  registerEmbeddingProvider({
+    name: 'test',
+    model: 'v1',
+    async embed(texts) {
+      embedded += texts.length;
+      return texts.map(text => [text.includes('cofounder') ? 1 : 0, text.includes('Growth') ? 1 : 0, 0.1]);
+    }
+  });
+  process.env.MATCHING_PROVIDER = 'test';
+
+  const result = await findMatches('biz_1', 'ann', fields);
+  await findMatches('biz_1', 'ann', fields, { refresh: true });
+
+  assert.equal(result.provider, 'test:v1');
+  assert.equal(result.matches[0].user_id, 'bob');
+  assert.equal(embedded, members.length);
+});
+
+test('falls back to tfidf when the embedding provider fails', async () => {
+  process.env.MATCHING_PROVIDER = 'openai';
+  delete process.env.MATCHING_EMBEDDINGS_API_KEY;
+
+  const result = await findMatches('biz_1', 'ann', fields);
+
+  assert.equal(result.provider, 'tfidf');
+  assert.ok(result.matches.length > 0);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTALL_TOKEN, loadServer, stubQueries, listen } = require('./helpers');
+
+const BATCHES = 40;
+const BATCH_SIZE = 500;
+
+let server;
+let directory;
+let clientQueries;
+
+function member(id, overrides = {}) {
+  return {
+    id,
+    user_id: `user_${id}`,
+    name: `Member ${id}`,
+    username: `member${id}`,
+    bio: 'Writes long bios about building communities. '.repeat(4),
+    joined_at: new Date('2026-01-01T00:00:00Z'),
+    status: 'active',
+    custom_fields: {},
+    waitlist_responses: {},
+    privacy_settings: {},
+    ...overrides
+  };
+}
+
+// A cursor handing out each of batches in turn
+function stubExportClient(batches) {
+  let fetched = 0;
+  clientQueries = [];
+  return {
+    async query(sql) {
+      clientQueries.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      if (!/^\s*FETCH/.test(sql) || fetched === batches.length) return { rows: [] };
+      return { rows: batches[fetched++]() };
+    },
+    release() {}
+  };
+}
+
+// The custom fields of the directory's schema
+const fields = [
+  { key: 'role', label: 'Role', type: 'text', visibility: 'members' },
+  { key: 'notes', label: 'Notes', type: 'text', visibility: 'admins' }
+];
+
+test.before(async () => {
+  server = loadServer();
+  stubQueries(server.pool, sql => (/FROM company_field_definitions/.test(sql) ? { rows: fields } : null));
+  directory = await listen(server.app);
+});
+
+test.after(() => directory.close());
+
+function exportMembers(format, batches) {
+  server.pool.connect = async () => stubExportClient(batches);
+  return fetch(`${directory.baseUrl}/api/admin/biz_acme/export?format=${format}`, {
+    headers: { 'x-install-token': INSTALL_TOKEN }
+  });
+}
+
+const people = () => [
+  member(1, {
+    name: 'Ada, "the first"',
+    email: 'ada@example.com',
+    headline: '=HYPERLINK("http://evil")',
+    custom_fields: { role: 'Founder', notes: 'vip' }
+  }),
+  member(2, {
+    email: 'bob@example.com',
+    custom_fields: { role: 'Engineer' },
+    privacy_settings: { hide_email: true, hidden_fields: ['role'] }
+  })
+];
+
+test('exports CSV with quoting, formula escaping and members\' privacy choices', async () => {
+  const response = await exportMembers('csv', [people]);
+  const [header, ada, bob] = (await response.text()).replace(/^\uFEFF/, '').trim().split('\r\n');
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="acme-members-[\d-]+\.csv"$/);
+  assert.equal(header, 'User ID,Username,Name,Display name,Email,Headline,Location,Website,Skills,Joined,Role,Notes');
+  assert.equal(ada, 'user_1,member1,"Ada, ""the first""",,ada@example.com,"\'=HYPERLINK(""http://evil"")",,,,2026-01-01T00:00:00.000Z,Founder,vip');
+  // Bob hides his email and role from everyone, admins' exports included
+  assert.equal(bob, 'user_2,member2,Member 2,,,,,,,2026-01-01T00:00:00.000Z,,');
+});
+
+test('exports one vCard per member with escaped values and the fields as a note', async () => {
+  const response = await exportMembers('vcf', [people]);
+  const cards = (await response.text()).split('END:VCARD\r\n').filter(Boolean);
+
+  assert.equal(cards.length, 2);
+  assert.match(cards[0], /\r\nFN:Ada\\, "the first"\r\n/);
+  assert.match(cards[0], /\r\nEMAIL;TYPE=INTERNET:ada@example\.com\r\n/);
+  assert.match(cards[0], /\r\nNOTE:Role: Founder\\nNotes: vip\r\n/);
+  assert.ok(!/EMAIL/.test(cards[1]));
+});
+
+test('streams every batch without piling up listeners on the response', async () => {
+  const warnings = [];
+  const onWarning = warning => warnings.push(warning.name);
+  process.on('warning', onWarning);
+
+  const response = await exportMembers('jsonl', Array.from({ length: BATCHES }, (_, batch) => () => (
+    Array.from({ length: BATCH_SIZE }, (_, index) => member(batch * BATCH_SIZE + index))
+  )));
+  const lines = (await response.text()).trim().split('\n');
+  // Warnings are emitted on the next tick
+  await new Promise(resolve => setImmediate(resolve));
+  process.off('warning', onWarning);
+
+  assert.equal(response.status, 200);
+  assert.equal(lines.length, BATCHES * BATCH_SIZE);
+  assert.equal(JSON.parse(lines[lines.length - 1]).user_id, `user_${BATCHES * BATCH_SIZE - 1}`);
+  assert.deepEqual(warnings.filter(name => name === 'MaxListenersExceededWarning'), []);
+  assert.deepEqual(clientQueries.slice(-2), ['CLOSE member_export', 'COMMIT']);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTALL_TOKEN, loadServer, stubQueries, listen } = require('./helpers');
+
+let server;
+let directory;
+
+test.before(async () => {
+  server = loadServer();
+  stubQueries(server.pool);
+  directory = await listen(server.app);
+});
+
+test.after(() => directory.close());
+
+function postImport(body) {
+  return fetch(`${directory.baseUrl}/api/admin/biz_acme/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-install-token': INSTALL_TOKEN },
+    body: JSON.stringify(body)
+  });
+}
+
+test('answers 500 when no database connection can be had', async () => {
+  server.pool.connect = async () => {
+    throw new Error('too many clients already');
+  };
+
+  const response = await postImport({ csv: 'username,role\nada,Founder\n', dry_run: true });
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  assert.equal(body.error, 'Failed to import members');
+  assert.equal(body.details, 'too many clients already');
+});
+
+test('rejects a bad request without taking a database connection', async () => {
+  let connections = 0;
+  server.pool.connect = async () => {
+    connections += 1;
+    throw new Error('unexpected connection');
+  };
+
+  const response = await postImport({ csv: 'username,role\n' });
+
+  assert.equal(response.status, 400);
+  assert.equal(connections, 0);
+});
+
+const fields = [
+  { key: 'role', label: 'Role', type: 'select', options: ['Founder', 'Engineer'], required: false, visibility: 'members' }
+];
+
+const csv = [
+  'username,role,bio',
+  'ada,Founder,Builds compilers',
+  '@bob,CEO,',
+  'ghost,Engineer,',
+  'ADA,Engineer,'
+].join('\n');
+
+// A connection over two members that records every statement it runs
+function stubImportClient() {
+  const queries = [];
+  const members = [
+    { id: 1, user_id: 'user_ada', username: 'ada', email: 'ada@example.com', bio: null, custom_fields: {} },
+    { id: 2, user_id: 'user_bob', username: 'bob', email: 'bob@example.com', bio: null, custom_fields: {} }
+  ];
+  server.pool.connect = async () => ({
+    async query(sql, params) {
+      queries.push({ sql: sql.trim(), params });
+      if (/FROM company_field_definitions/.test(sql)) return { rows: fields };
+      if (/SELECT id, user_id, username, email FROM whop_members/.test(sql)) return { rows: members };
+      if (/FROM whop_members WHERE company_id = \$1 AND id = ANY/.test(sql)) {
+        return { rows: members.filter(member => params[1].includes(member.id)) };
+      }
+      if (/UPDATE whop_members/.test(sql)) return { rows: [members.find(member => member.id === params[0])] };
+      if (/INSERT INTO member_imports/.test(sql)) return { rows: [{ id: 3, created_at: new Date() }] };
+      return { rows: [] };
+    },
+    release() {}
+  });
+  return queries;
+}
+
+test('previews the suggested mapping and every rejected row without writing', async () => {
+  const queries = stubImportClient();
+
+  const response = await postImport({ csv, dry_run: true });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.mapping, { username: 'match.username', role: 'custom_fields.role', bio: 'profile.bio' });
+  assert.equal(body.applicable_rows, 1);
+  assert.deepEqual(body.errors.map(({ row, errors }) => [row, errors]), [
+    [3, ['role: must be one of: Founder, Engineer']],
+    [4, ['No member matches this row']],
+    [5, ['Row 2 already updates this member']]
+  ]);
+  assert.ok(!queries.some(query => /^(UPDATE|INSERT)/.test(query.sql)));
+  assert.equal(queries[queries.length - 1].sql, 'ROLLBACK');
+});
+
+test('applies the valid rows and keeps the rejected ones for the error report', async t => {
+  // Node 20's runner misreads a child's log line when it directly follows a test report
+  t.mock.method(console, 'log', () => {});
+  const queries = stubImportClient();
+
+  const response = await postImport({ csv, filename: 'members.csv' });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.applied_rows, 1);
+  assert.equal(body.error_rows, 3);
+  assert.equal(body.error_report_url, '/api/admin/biz_acme/imports/3/errors');
+
+  const updates = queries.filter(query => /^UPDATE whop_members/.test(query.sql));
+  assert.equal(updates.length, 1);
+  assert.match(updates[0].sql, /custom_fields = COALESCE\(custom_fields, '\{\}'::jsonb\) \|\| \$2::jsonb/);
+  assert.deepEqual(updates[0].params.slice(0, 3), [1, '{"role":"Founder"}', 'Builds compilers']);
+
+  const saved = queries.find(query => /^INSERT INTO member_imports/.test(query.sql));
+  assert.equal(saved.params[2], 'members.csv');
+  assert.deepEqual(JSON.parse(saved.params[8]).map(rejected => rejected.row), [3, 4, 5]);
+  assert.equal(queries[queries.length - 1].sql, 'COMMIT');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startWhopStub, loadServer, stubQueries, listen, userToken } = require('./helpers');
+
+const queries = [];
+let whop;
+let directory;
+
+test.before(async () => {
+  // Every user is a customer of every company and experience
+  whop = await startWhopStub(() => ({
+    hasAccessToCompany: { hasAccess: true, accessLevel: 'customer' },
+    hasAccessToExperience: { hasAccess: true, accessLevel: 'customer' }
+  }));
+
+  const server = loadServer();
+  stubQueries(server.pool, sql => {
+    queries.push(sql);
+    if (/FROM experiences\s+WHERE experience_id = \$1 AND status = 'active'/.test(sql)) {
+      return { rows: [{ experience_id: 'exp_main', company_id: 'biz_acme', name: 'Main', status: 'active' }] };
+    }
+    if (/AS active_members/.test(sql)) {
+      return { rows: [{ matching: '3', total: '3', active_members: '5', new_this_month: '1', left_this_month: '2' }] };
+    }
+    return null;
+  });
+  directory = await listen(server.app);
+});
+
+test.after(() => {
+  directory.close();
+  whop.close();
+});
+
+test('reports active members next to the listed total and the monthly joins and leaves', async () => {
+  const response = await fetch(`${directory.baseUrl}/api/members/biz_acme`, {
+    headers: { 'x-whop-user-token': userToken('user_1') }
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.total, 3);
+  assert.equal(body.active_members, 5);
+  assert.equal(body.new_this_month, 1);
+  assert.equal(body.left_this_month, 2);
+
+  // Hidden and opted-out members count as active but aren't listed
+  const counts = queries.find(sql => /AS active_members/.test(sql));
+  const active = counts.match(/COUNT\(\*\) FILTER \(WHERE (.*)\) AS active_members/)[1];
+  const total = counts.match(/COUNT\(\*\) FILTER \(WHERE (.*)\) AS total/)[1];
+  assert.equal(active, "company_id = $1 AND status = 'active'");
+  assert.match(total, /hidden = FALSE/);
+  assert.match(total, /opt_out/);
+});
+
+test('counts each member who left this month once, within the experience being viewed', async () => {
+  queries.length = 0;
+  const response = await fetch(`${directory.baseUrl}/api/experiences/exp_main/members`, {
+    headers: { 'x-whop-user-token': userToken('user_1') }
+  });
+
+  assert.equal(response.status, 200);
+  const counts = queries.find(sql => /AS active_members/.test(sql));
+  const left = counts.match(/\(\s*(SELECT COUNT[\s\S]*?)\) AS left_this_month/)[1];
+  assert.match(left, /^SELECT COUNT\(DISTINCT user_id\) FROM membership_events/);
+  assert.match(left, /user_id IN \(SELECT em\.user_id FROM experience_members em WHERE em\.experience_id = \$\d+\)/);
+});
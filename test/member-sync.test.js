@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, stubQueries } = require('./helpers');
+
+const server = loadServer();
+
+// One page per experience; ada belongs to both
+const experienceUsers = {
+  exp_main: [{ id: 'user_ada', username: 'ada', name: 'Ada' }, { id: 'user_bob', username: 'bob', name: 'Bob' }],
+  exp_vip: [{ id: 'user_ada', username: 'ada', name: 'Ada' }]
+};
+
+const page = nodes => ({ nodes, pageInfo: { hasNextPage: false, endCursor: null } });
+
+test('counts a member of several experiences once and deactivates members Whop no longer lists', async () => {
+  const upserted = [];
+  let summary;
+  let leftEvents;
+  stubQueries(server.pool, (sql, params) => {
+    if (/INSERT INTO whop_members/.test(sql)) {
+      upserted.push(params[0]);
+      return { rows: [{ previous_status: 'active' }] };
+    }
+    if (/UPDATE whop_members/.test(sql)) {
+      assert.deepEqual(params[1].sort(), ['user_ada', 'user_bob']);
+      return { rows: [{ user_id: 'user_cat' }], rowCount: 1 };
+    }
+    if (/INSERT INTO membership_events/.test(sql)) {
+      leftEvents = params[2].map((userId, index) => `${userId}:${params[3][index]}`);
+    }
+    if (/UPDATE whop_companies/.test(sql)) summary = params;
+    return null;
+  });
+
+  const result = await server.syncMembersWithWhop('biz_acme', {
+    fetchExperiencesPage: async () => page([{ id: 'exp_main' }, { id: 'exp_vip' }]),
+    fetchUsersPage: async experienceId => page(experienceUsers[experienceId])
+  });
+
+  assert.deepEqual(result, { experiences: 2, fetched: 2, stored: 2, deactivated: 1 });
+  assert.deepEqual(upserted, ['user_ada', 'user_bob']);
+  assert.deepEqual(summary, ['biz_acme', 2, 2]);
+  assert.deepEqual(leftEvents, ['user_cat:left']);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, stubQueries } = require('./helpers');
+
+const server = loadServer();
+
+// whop_members by user ID, and the membership events recorded
+let members;
+let events;
+let outcomes;
+
+// The member upsert inserts only when the status lists the member or the row already exists
+function upsertMember(params) {
+  const [userId, , , , , status, membershipStatus] = params;
+  const previous = members.get(userId);
+  if (!previous && status !== 'active') return { rows: [] };
+
+  members.set(userId, { status, membership_status: membershipStatus });
+  return { rows: [{ previous_status: previous ? previous.status : null, membership_status: membershipStatus }] };
+}
+
+async function deliver(...queued) {
+  let claimed = false;
+  stubQueries(server.pool, (sql, params) => {
+    if (/SET status = 'processing'/.test(sql)) {
+      const rows = claimed ? [] : queued.map(([action, data], index) => ({
+        id: index + 1, delivery_id: `evt_${index + 1}`, company_id: 'biz_acme', action, payload: { action, data }, attempts: 1
+      }));
+      claimed = true;
+      return { rows };
+    }
+    if (/SELECT status, membership_status FROM whop_members/.test(sql)) {
+      const member = members.get(params[1]);
+      return { rows: member ? [member] : [] };
+    }
+    if (/SET status = 'processed'/.test(sql)) outcomes.push('processed');
+    if (/SET status = 'pending'|SET status = 'dead'/.test(sql)) outcomes.push(`failed: ${params[1]}`);
+    return null;
+  });
+  server.pool.connect = async () => ({
+    async query(sql, params) {
+      if (/INSERT INTO whop_members/.test(sql)) return upsertMember(params);
+      if (/INSERT INTO membership_events/.test(sql)) {
+        params[2].forEach((userId, index) => events.push(`${userId}:${params[3][index]}`));
+      }
+      return { rows: [] };
+    },
+    release() {}
+  });
+
+  await server.runWebhookTick();
+}
+
+test.beforeEach(() => {
+  members = new Map([['user_ada', { status: 'active', membership_status: 'active' }]]);
+  events = [];
+  outcomes = [];
+});
+
+test("doesn't add a member for a failed payment or invalid membership from a non-member", async () => {
+  await deliver(
+    ['payment.failed', { user_id: 'user_stranger', membership_id: 'mem_1' }],
+    ['membership.went_invalid', { user_id: 'user_other', membership_id: 'mem_2' }]
+  );
+
+  assert.deepEqual(outcomes, ['processed', 'processed']);
+  assert.deepEqual([...members.keys()], ['user_ada']);
+  assert.deepEqual(events, []);
+});
+
+test('marks an existing member past due after a failed payment', async () => {
+  await deliver(['payment.failed', { user_id: 'user_ada', membership_id: 'mem_3' }]);
+
+  assert.deepEqual(members.get('user_ada'), { status: 'active', membership_status: 'past_due' });
+  assert.deepEqual(events, []);
+});
+
+test('records a leave for an invalid membership and a join for a new valid one', async () => {
+  await deliver(
+    ['membership.went_invalid', { user_id: 'user_ada', membership_id: 'mem_3' }],
+    ['membership.went_valid', { user_id: 'user_bob', membership_id: 'mem_4' }]
+  );
+
+  assert.equal(members.get('user_ada').status, 'inactive');
+  assert.equal(members.get('user_bob').status, 'active');
+  assert.deepEqual(events, ['user_ada:left', 'user_bob:joined']);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { mergeTenants } = require('../merge-tenants');
+
+// membership_events kept in memory; the merge's statements on it are applied to these rows
+function historyOf(events, companyId, userId) {
+  return events
+    .filter(event => event.company_id === companyId && event.user_id === userId)
+    .map(event => event.event_type);
+}
+
+function stubMergeClient(events, conflicts) {
+  const statements = [];
+  const client = {
+    async query(sql, params = []) {
+      const statement = sql.trim().split(/\s+/).slice(0, 2).join(' ');
+      statements.push(statement);
+
+      if (/pg_try_advisory_xact_lock/.test(sql)) return { rows: [{ acquired: true }] };
+      if (/FROM whop_companies/.test(sql)) {
+        return { rows: [{ company_id: params[0], company_name: params[0], company_slug: null, status: 'active' }] };
+      }
+      if (/UPDATE whop_members t SET/.test(sql)) return { rows: conflicts };
+      if (/INSERT INTO tenant_merges/.test(sql)) return { rows: [{ id: 7, merged_at: new Date() }] };
+
+      if (/UPDATE membership_events SET company_id = CASE/.test(sql)) {
+        const [sourceId, targetId, userIds] = params;
+        const swapped = events.filter(event => [sourceId, targetId].includes(event.company_id) && userIds.includes(event.user_id));
+        swapped.forEach(event => { event.company_id = event.company_id === sourceId ? targetId : sourceId; });
+        return { rows: [], rowCount: swapped.length };
+      }
+      if (/UPDATE membership_events SET company_id = \$2/.test(sql)) {
+        const [sourceId, targetId, userIds] = params;
+        const moved = events.filter(event => event.company_id === sourceId && !userIds.includes(event.user_id));
+        moved.forEach(event => { event.company_id = targetId; });
+        return { rows: [], rowCount: moved.length };
+      }
+      if (/FROM membership_events/.test(sql)) {
+        return { rows: [{ count: events.filter(event => event.company_id === params[0]).length }] };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    release() {}
+  };
+  return { client, statements };
+}
+
+function event(companyId, userId, eventType) {
+  return { company_id: companyId, user_id: userId, event_type: eventType };
+}
+
+test('keeps one membership history for a member in both tenants', async () => {
+  const events = [
+    // ada left the target and rejoined through the source, so the source row wins
+    event('biz_target', 'user_ada', 'joined'),
+    event('biz_target', 'user_ada', 'left'),
+    event('biz_source', 'user_ada', 'joined'),
+    // bob is active in the target and left the source
+    event('biz_target', 'user_bob', 'joined'),
+    event('biz_source', 'user_bob', 'joined'),
+    event('biz_source', 'user_bob', 'left'),
+    // cat is only in the source
+    event('biz_source', 'user_cat', 'joined')
+  ];
+  const conflicts = [{ user_id: 'user_ada', source_wins: true }, { user_id: 'user_bob', source_wins: false }];
+  const { client, statements } = stubMergeClient(events, conflicts);
+  db.pool.connect = async () => client;
+
+  const result = await mergeTenants('biz_source', 'biz_target', { actor: 'test' });
+
+  assert.deepEqual(historyOf(events, 'biz_target', 'user_ada'), ['joined']);
+  assert.deepEqual(historyOf(events, 'biz_target', 'user_bob'), ['joined']);
+  assert.deepEqual(historyOf(events, 'biz_target', 'user_cat'), ['joined']);
+  assert.deepEqual(result.members.conflicting_user_ids, ['user_ada', 'user_bob']);
+  assert.equal(result.membership_events, 1);
+  assert.equal(result.superseded_membership_events, 4);
+  assert.equal(statements[statements.length - 1], 'COMMIT');
+});
+
+test('rolls a dry run back after reporting it', async () => {
+  const events = [event('biz_source', 'user_cat', 'joined')];
+  const { client, statements } = stubMergeClient(events, []);
+  db.pool.connect = async () => client;
+
+  const result = await mergeTenants('biz_source', 'biz_target', { dryRun: true });
+
+  assert.equal(result.dry_run, true);
+  assert.equal(result.membership_events, 1);
+  assert.equal(statements[statements.length - 1], 'ROLLBACK');
+  assert.ok(!statements.includes('COMMIT'));
+});
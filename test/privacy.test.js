@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { omitKeys } = require('../privacy');
+
+test('omitKeys leaves the original untouched and passes non-objects through', () => {
+  const fieldsOf = { a: 1, b: 2 };
+
+  assert.deepEqual(omitKeys(fieldsOf, ['a']), { b: 2 });
+  assert.deepEqual(fieldsOf, { a: 1, b: 2 });
+  assert.equal(omitKeys(null, ['a']), null);
+  assert.equal(omitKeys(fieldsOf, []), fieldsOf);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncWaitlistWithWhop } = require('../server');
+
+// A Whop API stub serving entries in pages of `size`, keyed by the cursor it hands out
+function stubWhopPages(entries, size) {
+  const requested = [];
+  const fetchPage = async after => {
+    requested.push(after);
+    const start = after ? Number(after) : 0;
+    const end = start + size;
+    return {
+      nodes: entries.slice(start, end),
+      pageInfo: { hasNextPage: end < entries.length, endCursor: String(end) }
+    };
+  };
+  return { fetchPage, requested };
+}
+
+// A database stub recording each query; rowCount is 1 for members in `knownUserIds`
+function stubDb(knownUserIds) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: [], rowCount: knownUserIds.includes(params[1]) ? 1 : 0 };
+    }
+  };
+}
+
+function entry(status, userId, answers) {
+  return {
+    status,
+    name: `Applicant ${userId}`,
+    plan: { id: 'plan_1' },
+    user: userId ? { id: userId, username: `user_${userId}` } : null,
+    customFieldResponses: Object.entries(answers).map(([question, answer]) => ({ question, answer }))
+  };
+}
+
+test('stores the answers of approved entries across every page', async () => {
+  const whop = stubWhopPages([
+    entry('approved', 'user_a', { 'What do you do?': 'Design' }),
+    entry('pending', 'user_b', { 'What do you do?': 'Sales' }),
+    entry('approved', 'user_c', { 'What do you do?': 'Engineering', 'Goal?': 'Ship' }),
+    entry('approved', null, { 'What do you do?': 'Nothing' }),
+    entry('approved', 'user_d', {})
+  ], 2);
+  const db = stubDb(['user_a', 'user_c']);
+
+  const result = await syncWaitlistWithWhop('biz_1', { fetchPage: whop.fetchPage, db });
+
+  assert.deepEqual(whop.requested, [null, '2', '4']);
+  assert.deepEqual(result, { fetched: 5, approved: 3, stored: 2 });
+  assert.deepEqual(db.queries.map(query => query.params), [
+    [JSON.stringify({ 'What do you do?': 'Design' }), 'user_a', 'biz_1'],
+    [JSON.stringify({ 'What do you do?': 'Engineering', 'Goal?': 'Ship' }), 'user_c', 'biz_1']
+  ]);
+  assert.match(db.queries[0].sql, /waitlist_responses = COALESCE\(waitlist_responses, '\{\}'::jsonb\) \|\| \$1::jsonb/);
+});
+
+test('counts only entries that matched a member row', async () => {
+  const whop = stubWhopPages([entry('approved', 'user_unknown', { 'Why join?': 'Friends' })], 50);
+  const db = stubDb([]);
+
+  const result = await syncWaitlistWithWhop('biz_1', { fetchPage: whop.fetchPage, db });
+
+  assert.deepEqual(result, { fetched: 1, approved: 1, stored: 0 });
+  assert.equal(db.queries.length, 1);
+});
+
+test('rejects a malformed page without writing anything', async () => {
+  const db = stubDb([]);
+
+  await assert.rejects(
+    syncWaitlistWithWhop('biz_1', { fetchPage: async () => ({ entries: [] }), db }),
+    /Invalid page response from Whop API/
+  );
+  assert.equal(db.queries.length, 0);
+});
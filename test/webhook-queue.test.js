@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INSTALL_TOKEN, loadServer, stubQueries, listen } = require('./helpers');
+
+const server = loadServer();
+let directory;
+
+test.before(async () => {
+  directory = await listen(server.app);
+});
+
+test.after(() => directory.close());
+
+function queuedEvent(id, action, attempts, data = {}) {
+  return { id, delivery_id: `evt_${id}`, company_id: 'biz_acme', action, payload: { action, data }, attempts };
+}
+
+// Hands the worker `events` on its first claim, fails app installs while `failing` is set, and
+// records each event's outcome by ID
+function stubQueue(events, { failing = false } = {}) {
+  const outcomes = {};
+  const deadLetters = [];
+  let claimed = false;
+
+  stubQueries(server.pool, (sql, params) => {
+    if (/SET status = 'processing'/.test(sql)) {
+      const rows = claimed ? [] : events;
+      claimed = true;
+      return { rows };
+    }
+    if (/INSERT INTO whop_companies/.test(sql) && failing) throw new Error('connection reset');
+    if (/SET status = 'processed'/.test(sql)) outcomes[params[0]] = { status: 'processed' };
+    if (/SET status = 'pending'/.test(sql)) outcomes[params[0]] = { status: 'pending', error: params[1], delay: params[2] };
+    return null;
+  });
+  server.pool.connect = async () => ({
+    async query(sql, params) {
+      if (/SET status = 'dead'/.test(sql)) outcomes[params[0]] = { status: 'dead', error: params[1] };
+      if (/INSERT INTO webhook_dead_letters/.test(sql)) deadLetters.push({ delivery_id: params[1], attempts: params[5] });
+      return { rows: [] };
+    },
+    release() {}
+  });
+
+  return { outcomes, deadLetters };
+}
+
+test('processes due events and retries a failure with backoff', async () => {
+  const { outcomes } = stubQueue([
+    queuedEvent(1, 'app.installed', 1),
+    queuedEvent(2, 'app.installed', 3)
+  ], { failing: true });
+
+  await server.runWebhookTick();
+
+  assert.deepEqual(outcomes[1], { status: 'pending', error: 'connection reset', delay: 30 });
+  assert.deepEqual(outcomes[2], { status: 'pending', error: 'connection reset', delay: 120 });
+});
+
+test('marks an event processed once its handler succeeds', async () => {
+  const { outcomes } = stubQueue([queuedEvent(3, 'app.installed', 2)]);
+
+  await server.runWebhookTick();
+
+  assert.deepEqual(outcomes[3], { status: 'processed' });
+});
+
+test('dead-letters an event on its last attempt, or at once when it can never succeed', async () => {
+  const { outcomes, deadLetters } = stubQueue([
+    queuedEvent(4, 'app.installed', 8),
+    queuedEvent(5, 'membership.cancel_at_period_end_changed', 1, { user_id: 'user_1' })
+  ], { failing: true });
+
+  await server.runWebhookTick();
+
+  assert.deepEqual(outcomes[4], { status: 'dead', error: 'connection reset' });
+  assert.deepEqual(outcomes[5], { status: 'dead', error: 'No cancel_at_period_end in webhook' });
+  assert.deepEqual(deadLetters, [{ delivery_id: 'evt_4', attempts: 8 }, { delivery_id: 'evt_5', attempts: 1 }]);
+});
+
+async function replay(id, eventStatus) {
+  const queries = [];
+  server.pool.connect = async () => ({
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (/FROM webhook_dead_letters d/.test(sql)) {
+        return { rows: [{ id: params[0], webhook_event_id: 40, delivery_id: 'evt_40', event_status: eventStatus }] };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  });
+
+  const response = await fetch(`${directory.baseUrl}/api/admin/biz_acme/webhooks/dead-letters/${id}/replay`, {
+    method: 'POST',
+    headers: { 'x-install-token': INSTALL_TOKEN }
+  });
+  return { response, queries };
+}
+
+test('replays a dead letter as a fresh pending event', async () => {
+  const { response, queries } = await replay(9, 'dead');
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).event_status, 'pending');
+  const requeue = queries.find(query => /UPDATE webhook_events/.test(query.sql));
+  assert.match(requeue.sql, /status = 'pending', attempts = 0/);
+  assert.deepEqual(requeue.params, [40]);
+  assert.equal(queries[queries.length - 1].sql, 'COMMIT');
+});
+
+test('refuses to replay an event that is no longer dead-lettered', async () => {
+  const { response, queries } = await replay(9, 'processed');
+
+  assert.equal(response.status, 409);
+  assert.ok(!queries.some(query => /UPDATE webhook_events/.test(query.sql)));
+});
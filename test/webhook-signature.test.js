@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { loadServer, stubQueries, listen } = require('./helpers');
+
+const SECRET = 'whsec_test';
+const queued = [];
+let directory;
+
+test.before(async () => {
+  const server = loadServer();
+  stubQueries(server.pool, (sql, params) => {
+    if (/SELECT webhook_secret FROM whop_companies/.test(sql)) {
+      return { rows: params[0] === 'biz_acme' ? [{ webhook_secret: SECRET }] : [] };
+    }
+    if (/INSERT INTO webhook_events/.test(sql)) {
+      const isNew = !queued.includes(params[0]);
+      if (isNew) queued.push(params[0]);
+      return { rows: [], rowCount: isNew ? 1 : 0 };
+    }
+    return null;
+  });
+  directory = await listen(server.app);
+});
+
+test.after(() => directory.close());
+
+function sign(body, timestamp, secret = SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+async function deliver(id, signatureFor) {
+  const body = JSON.stringify({ id, action: 'membership.went_valid', data: { company_id: 'biz_acme', user_id: 'user_1' } });
+  const response = await fetch(`${directory.baseUrl}/webhook/whop`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-whop-signature': signatureFor(body) },
+    body
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('queues a delivery signed with the company secret, once', async () => {
+  const first = await deliver('evt_1', body => sign(body, now()));
+  const again = await deliver('evt_1', body => sign(body, now()));
+
+  assert.equal(first.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.deepEqual(queued, ['evt_1']);
+});
+
+test('rejects a delivery signed with another secret', async () => {
+  const { status, body } = await deliver('evt_2', payload => sign(payload, now(), 'whsec_other'));
+
+  assert.equal(status, 401);
+  assert.equal(body.reason, 'Signature mismatch');
+  assert.ok(!queued.includes('evt_2'));
+});
+
+test('rejects a replayed delivery outside the tolerance window', async () => {
+  const { status, body } = await deliver('evt_3', payload => sign(payload, now() - 3600));
+
+  assert.equal(status, 401);
+  assert.equal(body.reason, 'Timestamp outside tolerance window');
+});
+
+test('rejects a delivery without a signature header', async () => {
+  const { status, body } = await deliver('evt_4', () => '');
+
+  assert.equal(status, 401);
+  assert.equal(body.reason, 'Missing or malformed signature header');
+});
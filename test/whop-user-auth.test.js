@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startWhopStub, loadServer, stubQueries, listen, userToken } = require('./helpers');
+
+// Experiences each company owns, as the experiences table and company_aliases record them
+const experienceOwners = { exp_attacker: 'biz_attacker', exp_victim: 'biz_victim' };
+// Whop access levels by experience and by company
+const experienceAccess = { exp_attacker: 'admin', exp_victim: 'customer' };
+const companyAccess = { biz_victim: 'no_access' };
+
+let whop;
+let directory;
+
+test.before(async () => {
+  whop = await startWhopStub(variables => (variables.experienceId
+    ? { hasAccessToExperience: { hasAccess: true, accessLevel: experienceAccess[variables.experienceId] || 'no_access' } }
+    : { hasAccessToCompany: { hasAccess: true, accessLevel: companyAccess[variables.companyId] || 'no_access' } }));
+
+  const server = loadServer();
+  stubQueries(server.pool, (sql, params) => {
+    if (/FROM experiences WHERE experience_id/.test(sql)) {
+      const owner = experienceOwners[params[0]];
+      return { rows: owner ? [{ company_id: owner }] : [] };
+    }
+    return null;
+  });
+  directory = await listen(server.app);
+});
+
+test.after(() => {
+  directory.close();
+  whop.close();
+});
+
+async function getTimeline(companyId, experienceId) {
+  const response = await fetch(`${directory.baseUrl}/api/members/${companyId}/user_2/timeline?experience_id=${experienceId}`, {
+    headers: { 'x-whop-user-token': userToken('user_1') }
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("refuses access to a company through another company's experience", async () => {
+  const { status, body } = await getTimeline('biz_victim', 'exp_attacker');
+
+  assert.equal(status, 403);
+  assert.equal(body.error, 'That experience does not belong to this directory');
+});
+
+test('checks access against an experience of the company being read', async () => {
+  const { status, body } = await getTimeline('biz_victim', 'exp_victim');
+
+  // Past authentication: the stubbed database has no such member
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Member not found');
+});
+
+test('falls back to company access for an experience nobody registered', async () => {
+  const { status, body } = await getTimeline('biz_victim', 'exp_unknown');
+
+  assert.equal(status, 403);
+  assert.equal(body.error, 'You do not have access to this directory');
+});
+
+test('rejects a token minted for another app', async () => {
+  const response = await fetch(`${directory.baseUrl}/api/members/biz_victim/user_2/timeline?experience_id=exp_victim`, {
+    headers: { 'x-whop-user-token': userToken('user_1', { aud: 'app_other' }) }
+  });
+
+  assert.equal(response.status, 401);
+});
+
+test('rejects every token while WHOP_APP_ID is unset', async t => {
+  const appId = process.env.WHOP_APP_ID;
+  process.env.WHOP_APP_ID = '';
+  t.after(() => { process.env.WHOP_APP_ID = appId; });
+
+  const { status, body } = await getTimeline('biz_victim', 'exp_victim');
+
+  assert.equal(status, 401);
+  assert.equal(body.error, 'A valid Whop user token is required');
+});